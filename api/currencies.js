@@ -0,0 +1,15 @@
+const { listCurrencies } = require('../utils/currencies');
+
+// Currency registry for the front end selects
+export default function handler(req, res) {
+  if (req.method && req.method.toUpperCase() !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed. Use GET.' });
+  }
+
+  const currencies = listCurrencies().map(({ code, name, symbol, minorUnits }) => ({ code, name, symbol, minorUnits }));
+  return res.status(200).json({
+    success: true,
+    count: currencies.length,
+    currencies
+  });
+}
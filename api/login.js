@@ -0,0 +1,15 @@
+const { correlationMiddleware } = require('../utils/siem');
+const { login } = require('../utils/auth');
+const { sendResult } = require('../utils/http');
+
+// Supabase password login; issues the same session tokens as the Express server
+export default async function handler(req, res) {
+  correlationMiddleware(req, res, () => {});
+
+  if (req.method && req.method.toUpperCase() !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed. Use POST.', correlationId: req.correlationId });
+  }
+
+  const result = await login(req.body || {}, { req, correlationId: req.correlationId });
+  return sendResult(res, result, req.correlationId);
+}
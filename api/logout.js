@@ -0,0 +1,20 @@
+const { correlationMiddleware } = require('../utils/siem');
+const { authenticateRequest } = require('../utils/sessions');
+const { logout } = require('../utils/auth');
+const { sendResult } = require('../utils/http');
+
+// Revoke the caller's session token
+export default function handler(req, res) {
+  correlationMiddleware(req, res, () => {});
+
+  if (req.method && req.method.toUpperCase() !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed. Use POST.', correlationId: req.correlationId });
+  }
+
+  const auth = authenticateRequest(req, req.correlationId);
+  if (!auth) {
+    return res.status(401).json({ success: false, error: 'Unauthorized. Please log in again.', correlationId: req.correlationId });
+  }
+
+  return sendResult(res, logout(auth, { req, correlationId: req.correlationId }), req.correlationId);
+}
@@ -0,0 +1,21 @@
+const { correlationMiddleware } = require('../utils/siem');
+const { authenticateRequest } = require('../utils/sessions');
+const { parseConvert } = require('../utils/naturalQuery');
+const { sendResult } = require('../utils/http');
+
+// Natural-language conversion ("250 euros to yen"), same service as the Express route
+export default async function handler(req, res) {
+  correlationMiddleware(req, res, () => {});
+
+  if (req.method && req.method.toUpperCase() !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed. Use GET.', correlationId: req.correlationId });
+  }
+
+  const auth = authenticateRequest(req, req.correlationId);
+  if (!auth) {
+    return res.status(401).json({ success: false, error: 'Unauthorized. Please log in again.', correlationId: req.correlationId });
+  }
+
+  const result = await parseConvert(req.query || {}, { req, correlationId: req.correlationId, client: auth.user.username });
+  return sendResult(res, result, req.correlationId);
+}
@@ -0,0 +1,25 @@
+const { getTimeseries } = require('../../utils/rateTimeseries');
+const { correlationMiddleware } = require('../../utils/siem');
+const { authenticateRequest } = require('../../utils/sessions');
+const { sendResult } = require('../../utils/http');
+const { negotiateFormat, formatResult } = require('../../utils/responseFormats');
+
+// Per-day rate series with summary stats, built from the daily snapshot store
+export default async function handler(req, res) {
+  correlationMiddleware(req, res, () => {});
+
+  if (req.method && req.method.toUpperCase() !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed. Use GET.', correlationId: req.correlationId });
+  }
+
+  const auth = authenticateRequest(req, req.correlationId);
+  if (!auth) {
+    return res.status(401).json({ success: false, error: 'Unauthorized. Please log in again.', correlationId: req.correlationId });
+  }
+
+  const negotiated = negotiateFormat(req);
+  if (!negotiated.ok) return sendResult(res, negotiated.result, req.correlationId);
+
+  const result = await getTimeseries(negotiated.query, { req, correlationId: req.correlationId });
+  return sendResult(res, formatResult(result, req.correlationId, negotiated.format), req.correlationId);
+}
@@ -2,120 +2,8 @@
 
 class CurrencyConverter {
     constructor() {
-        // Static fallback list of currencies (same as original app)
-        this.currencies = [
-            { code: 'USD', name: 'United States Dollar' },
-            { code: 'EUR', name: 'Euro' },
-            { code: 'JPY', name: 'Japanese Yen' },
-            { code: 'GBP', name: 'British Pound' },
-            { code: 'AUD', name: 'Australian Dollar' },
-            { code: 'CAD', name: 'Canadian Dollar' },
-            { code: 'CHF', name: 'Swiss Franc' },
-            { code: 'CNY', name: 'Chinese Yuan' },
-            { code: 'HKD', name: 'Hong Kong Dollar' },
-            { code: 'NZD', name: 'New Zealand Dollar' },
-            { code: 'SEK', name: 'Swedish Krona' },
-            { code: 'KRW', name: 'South Korean Won' },
-            { code: 'SGD', name: 'Singapore Dollar' },
-            { code: 'NOK', name: 'Norwegian Krone' },
-            { code: 'MXN', name: 'Mexican Peso' },
-            { code: 'INR', name: 'Indian Rupee' },
-            { code: 'RUB', name: 'Russian Ruble' },
-            { code: 'ZAR', name: 'South African Rand' },
-            { code: 'TRY', name: 'Turkish Lira' },
-            { code: 'BRL', name: 'Brazilian Real' },
-            { code: 'TWD', name: 'New Taiwan Dollar' },
-            { code: 'DKK', name: 'Danish Krone' },
-            { code: 'PLN', name: 'Polish Zloty' },
-            { code: 'THB', name: 'Thai Baht' },
-            { code: 'IDR', name: 'Indonesian Rupiah' },
-            { code: 'HUF', name: 'Hungarian Forint' },
-            { code: 'CZK', name: 'Czech Koruna' },
-            { code: 'ILS', name: 'Israeli New Shekel' },
-            { code: 'CLP', name: 'Chilean Peso' },
-            { code: 'PHP', name: 'Philippine Peso' },
-            { code: 'AED', name: 'United Arab Emirates Dirham' },
-            { code: 'COP', name: 'Colombian Peso' },
-            { code: 'SAR', name: 'Saudi Riyal' },
-            { code: 'MYR', name: 'Malaysian Ringgit' },
-            { code: 'RON', name: 'Romanian Leu' },
-            { code: 'ARS', name: 'Argentine Peso' },
-            { code: 'PEN', name: 'Peruvian Sol' },
-            { code: 'NGN', name: 'Nigerian Naira' },
-            { code: 'EGP', name: 'Egyptian Pound' },
-            { code: 'BDT', name: 'Bangladeshi Taka' },
-            { code: 'PKR', name: 'Pakistani Rupee' },
-            { code: 'VND', name: 'Vietnamese Dong' },
-            { code: 'MAD', name: 'Moroccan Dirham' },
-            { code: 'DZD', name: 'Algerian Dinar' },
-            { code: 'KWD', name: 'Kuwaiti Dinar' },
-            { code: 'QAR', name: 'Qatari Riyal' },
-            { code: 'BHD', name: 'Bahraini Dinar' },
-            { code: 'OMR', name: 'Omani Rial' },
-            { code: 'UYU', name: 'Uruguayan Peso' },
-            { code: 'BOB', name: 'Bolivian Boliviano' },
-            { code: 'PYG', name: 'Paraguayan Guaraní' },
-            { code: 'GTQ', name: 'Guatemalan Quetzal' },
-            { code: 'CRC', name: 'Costa Rican Colón' },
-            { code: 'DOP', name: 'Dominican Peso' },
-            { code: 'JMD', name: 'Jamaican Dollar' },
-            { code: 'TTD', name: 'Trinidad and Tobago Dollar' },
-            { code: 'BBD', name: 'Barbadian Dollar' },
-            { code: 'BMD', name: 'Bermudian Dollar' },
-            { code: 'BSD', name: 'Bahamian Dollar' },
-            { code: 'XCD', name: 'East Caribbean Dollar' },
-            { code: 'RSD', name: 'Serbian Dinar' },
-            { code: 'UAH', name: 'Ukrainian Hryvnia' },
-            { code: 'GEL', name: 'Georgian Lari' },
-            { code: 'KZT', name: 'Kazakhstani Tenge' },
-            { code: 'UZS', name: 'Uzbekistani Soʻm' },
-            { code: 'AZN', name: 'Azerbaijani Manat' },
-            { code: 'AMD', name: 'Armenian Dram' },
-            { code: 'BYN', name: 'Belarusian Ruble' },
-            { code: 'BGN', name: 'Bulgarian Lev' },
-            { code: 'HRK', name: 'Croatian Kuna' },
-            { code: 'ISK', name: 'Icelandic Króna' },
-            { code: 'MKD', name: 'Macedonian Denar' },
-            { code: 'ALL', name: 'Albanian Lek' },
-            { code: 'MDL', name: 'Moldovan Leu' },
-            { code: 'IRR', name: 'Iranian Rial' },
-            { code: 'IQD', name: 'Iraqi Dinar' },
-            { code: 'LKR', name: 'Sri Lankan Rupee' },
-            { code: 'NPR', name: 'Nepalese Rupee' },
-            { code: 'MMK', name: 'Burmese Kyat' },
-            { code: 'KHR', name: 'Cambodian Riel' },
-            { code: 'LAK', name: 'Lao Kip' },
-            { code: 'MNT', name: 'Mongolian Tögrög' },
-            { code: 'KGS', name: 'Kyrgyzstani Som' },
-            { code: 'TJS', name: 'Tajikistani Somoni' },
-            { code: 'AFN', name: 'Afghan Afghani' },
-            { code: 'MVR', name: 'Maldivian Rufiyaa' },
-            { code: 'BND', name: 'Brunei Dollar' },
-            { code: 'FJD', name: 'Fijian Dollar' },
-            { code: 'PGK', name: 'Papua New Guinean Kina' },
-            { code: 'SBD', name: 'Solomon Islands Dollar' },
-            { code: 'VUV', name: 'Vanuatu Vatu' },
-            { code: 'XPF', name: 'CFP Franc' },
-            { code: 'XOF', name: 'West African CFA Franc' },
-            { code: 'XAF', name: 'Central African CFA Franc' },
-            { code: 'KES', name: 'Kenyan Shilling' },
-            { code: 'TZS', name: 'Tanzanian Shilling' },
-            { code: 'UGX', name: 'Ugandan Shilling' },
-            { code: 'GHS', name: 'Ghanaian Cedi' },
-            { code: 'ETB', name: 'Ethiopian Birr' },
-            { code: 'CDF', name: 'Congolese Franc' },
-            { code: 'ZMW', name: 'Zambian Kwacha' },
-            { code: 'MWK', name: 'Malawian Kwacha' },
-            { code: 'MZN', name: 'Mozambican Metical' },
-            { code: 'MUR', name: 'Mauritian Rupee' },
-            { code: 'SCR', name: 'Seychellois Rupee' },
-            { code: 'NAD', name: 'Namibian Dollar' },
-            { code: 'BWP', name: 'Botswana Pula' },
-            { code: 'GMD', name: 'Gambian Dalasi' },
-            { code: 'TND', name: 'Tunisian Dinar' },
-            { code: 'LYD', name: 'Libyan Dinar' },
-            { code: 'SDG', name: 'Sudanese Pound' }
-        ];
+        // Populated from the server-side currency registry (GET /api/currencies)
+        this.currencies = [];
 
         this.authToken = null;
         this.authUser = null;
@@ -123,16 +11,38 @@ class CurrencyConverter {
 
         this.initializeElements();
         this.attachEventListeners();
+        this.loadStoredAuth();
+        this.updateAuthUI();
+        this.initializeCurrencies();
+    }
+
+    async initializeCurrencies() {
+        await this.loadCurrencies();
         this.populateCurrencyOptions();
         this.setupFilters();
         this.initializeDefaults();
-        this.loadStoredAuth();
-        this.updateAuthUI();
         if (this.isAuthenticated()) {
             this.convertCurrency();
         }
     }
 
+    async loadCurrencies() {
+        try {
+            const response = await fetch('/api/currencies');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            if (!data.success || !Array.isArray(data.currencies)) {
+                throw new Error(data.error || 'API returned an error');
+            }
+            this.currencies = data.currencies;
+        } catch (error) {
+            console.error('Could not load currencies:', error);
+            this.showError('Could not load the currency list. Please refresh the page.');
+        }
+    }
+
     initializeElements() {
         this.amountInput = document.getElementById('amount');
         this.fromCurrencySelect = document.getElementById('fromCurrency');
@@ -395,7 +305,7 @@ class CurrencyConverter {
         }
 
         if (fromCurrency === toCurrency) {
-            this.showResult(amount, 1, fromCurrency, toCurrency, new Date().toISOString());
+            this.showResult(amount, 1, fromCurrency, toCurrency, new Date().toISOString(), this.getMinorUnits(toCurrency));
             return;
         }
 
@@ -406,12 +316,19 @@ class CurrencyConverter {
             if (response.success) {
                 const rate = response.rate;
                 const convertedAmount = response.convertedAmount ?? amount * rate;
-                this.showResult(convertedAmount, rate, fromCurrency, toCurrency, response.lastUpdated);
+                this.showResult(convertedAmount, rate, fromCurrency, toCurrency, response.lastUpdated, response.minorUnits, {
+                    source: response.source,
+                    stale: response.stale
+                });
             } else {
                 throw new Error(response.error || 'Failed to fetch exchange rate');
             }
         } catch (error) {
             console.error('Conversion error:', error);
+            if (error.code === 'RATE_UNAVAILABLE') {
+                this.showError(`The ${fromCurrency} to ${toCurrency} rate is temporarily unavailable. Please try again later.`);
+                return;
+            }
             this.showError('Could not fetch data. Please try again.');
         }
     }
@@ -433,6 +350,13 @@ class CurrencyConverter {
                 this.handleUnauthorized();
                 throw new Error('Unauthorized');
             }
+            if (response.status === 503) {
+                // The server has no trustworthy rate either; do not guess one locally
+                const data = await response.json().catch(() => ({}));
+                const unavailable = new Error(data.error || 'Rate unavailable');
+                unavailable.code = data.code;
+                throw unavailable;
+            }
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -443,19 +367,33 @@ class CurrencyConverter {
                     success: true,
                     rate: data.rate,
                     convertedAmount: data.convertedAmount,
-                    lastUpdated: data.lastUpdated
+                    minorUnits: data.minorUnits,
+                    lastUpdated: data.lastUpdated,
+                    source: data.source,
+                    stale: data.stale
                 };
             }
 
             throw new Error(data.error || 'API returned an error');
         } catch (error) {
+            if (error.code === 'RATE_UNAVAILABLE') {
+                throw error;
+            }
             console.warn('Using fallback data due to API error:', error);
             const fallback = this.getMockExchangeRate(fromCurrency, toCurrency);
+            if (!fallback) {
+                const unavailable = new Error('Rate unavailable');
+                unavailable.code = 'RATE_UNAVAILABLE';
+                throw unavailable;
+            }
             return {
                 success: true,
                 rate: fallback.rate,
                 convertedAmount: amount * fallback.rate,
-                lastUpdated: fallback.lastUpdated
+                minorUnits: this.getMinorUnits(toCurrency),
+                lastUpdated: fallback.lastUpdated,
+                source: 'offline',
+                stale: true
             };
         }
     }
@@ -468,8 +406,12 @@ class CurrencyConverter {
             JPY: { USD: 0.0091, EUR: 0.0077, GBP: 0.0067, PHP: 0.53, INR: 0.68 }
         };
 
-        const rate = (mockRates[fromCurrency] && mockRates[fromCurrency][toCurrency]) || 1.0;
-        return { rate, lastUpdated: new Date().toISOString() };
+        // Use the listed quote or its reciprocal; unknown pairs have no offline rate
+        let rate = mockRates[fromCurrency] && mockRates[fromCurrency][toCurrency];
+        if (!rate && mockRates[toCurrency] && mockRates[toCurrency][fromCurrency]) {
+            rate = 1 / mockRates[toCurrency][fromCurrency];
+        }
+        return rate ? { rate, lastUpdated: new Date().toISOString() } : null;
     }
 
     showLoading() {
@@ -478,9 +420,10 @@ class CurrencyConverter {
         this.convertBtn.disabled = true;
     }
 
-    showResult(convertedAmount, rate, fromCurrency, toCurrency, lastUpdated) {
+    // `source` is the API's rate source, or 'offline' for the built-in estimate used when the API is unreachable
+    showResult(convertedAmount, rate, fromCurrency, toCurrency, lastUpdated, minorUnits, { source, stale = false } = {}) {
         this.hideAllResults();
-        this.convertedAmount.textContent = this.formatCurrency(convertedAmount);
+        this.convertedAmount.textContent = this.formatCurrency(convertedAmount, minorUnits);
         this.toCurrencySymbol.textContent = this.getCurrencySymbol(toCurrency);
         this.fromCurrencySymbol.textContent = this.getCurrencySymbol(fromCurrency);
         this.exchangeRate.textContent = rate.toFixed(4);
@@ -489,6 +432,7 @@ class CurrencyConverter {
         this.lastUpdated.textContent = lastUpdated
             ? new Date(lastUpdated).toLocaleString()
             : new Date().toLocaleString();
+        this.lastUpdated.textContent += this.describeRateAge(source, stale);
         this.resultDiv.classList.remove('hidden');
         this.convertBtn.disabled = false;
     }
@@ -514,42 +458,32 @@ class CurrencyConverter {
         if (this.amountInput.value) this.convertCurrency();
     }
 
-    formatCurrency(amount) {
+    // Label for rates that are not live: each source is out of date for a different reason
+    describeRateAge(source, stale) {
+        if (source === 'offline') return ' (offline estimate, may be out of date)';
+        if (source === 'fallback') return ' (reference rate, live rates unavailable)';
+        if (source === 'cache-fallback') return ' (last known rate, live rates unavailable)';
+        if (stale) return ' (cached rate, may be out of date)';
+        return '';
+    }
+
+    // `minorUnits` is the ISO 4217 exponent reported by the API (0 for JPY, 3 for KWD)
+    formatCurrency(amount, minorUnits = 2) {
         return new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
+            minimumFractionDigits: minorUnits,
+            maximumFractionDigits: minorUnits
         }).format(amount);
     }
 
+    // Minor units from the currency registry, for amounts the API did not format
+    getMinorUnits(currency) {
+        const entry = this.currencies.find(({ code }) => code === currency);
+        return entry && Number.isInteger(entry.minorUnits) ? entry.minorUnits : 2;
+    }
+
     getCurrencySymbol(currency) {
-        const symbols = {
-            USD: '$',
-            EUR: '€',
-            GBP: '£',
-            JPY: '¥',
-            CAD: 'C$',
-            AUD: 'A$',
-            CHF: 'CHF',
-            CNY: '¥',
-            INR: '₹',
-            BRL: 'R$',
-            PHP: '₱',
-            KRW: '₩',
-            MXN: 'MX$',
-            SEK: 'kr',
-            NZD: 'NZ$',
-            SGD: 'S$',
-            HKD: 'HK$',
-            ZAR: 'R',
-            RUB: '₽',
-            TRY: '₺',
-            NOK: 'kr',
-            DKK: 'kr',
-            THB: '฿',
-            PLN: 'zł',
-            AED: 'د.إ'
-        };
-        return symbols[currency] || currency;
+        const entry = this.currencies.find(({ code }) => code === currency);
+        return (entry && entry.symbol) || currency;
     }
 }
 
@@ -3,14 +3,28 @@ const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const { createClient } = require('@supabase/supabase-js');
-const fetch = (...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
-const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 // Import logging utilities
-const { logger, logRequest, logSecurityEvent, logError, getClientIP } = require('./utils/logger');
-const { getFallbackRate } = require('./utils/fallbackRates');
+const { logger, logRequest, logSecurityEvent, logError } = require('./utils/logger');
+const { getTimeseries } = require('./utils/rateTimeseries');
+const { listCurrencies } = require('./utils/currencies');
+const { convert, convertBatch, warmCacheFromStore, getFetchMetrics } = require('./utils/conversionService');
+const { createQuote, getQuote, acceptQuote } = require('./utils/quotes');
+const { valuePortfolio } = require('./utils/valuation');
+const { revalueLedger, LEDGER_MAX_TRANSACTIONS } = require('./utils/ledger');
+const { csvBodyMiddleware } = require('./utils/csv');
+const { createJob, getJob, getJobResult, JOB_MAX_ROWS } = require('./utils/jobs');
+const { createAlert, listAlerts, getAlert, updateAlert, deleteAlert, getAlertDeliveries } = require('./utils/alerts');
+const { authenticateRequest } = require('./utils/sessions');
+const { supabase, resolveUserIdentifier, supabaseUnavailable, login, logout } = require('./utils/auth');
+const { sendResult } = require('./utils/http');
+const { negotiateFormat, formatResult } = require('./utils/responseFormats');
+const { parseConvert } = require('./utils/naturalQuery');
+const { openRateStream } = require('./utils/rateStream');
+const { getProvidersReport } = require('./utils/providers');
+const { startRateRefresher, getRefresherStatus } = require('./utils/rateRefresher');
+const { attachRateSocket } = require('./utils/rateSocket');
 
 // Import SIEM and security protocol utilities
 const {
@@ -24,6 +38,18 @@ const { sanitizationMiddleware } = require('./utils/sanitization');
 const app = express();
 // Body parsing limits (protect from large payload DoS)
 const BODY_LIMIT = process.env.BODY_LIMIT || '10kb';
+// Batch conversions carry many rows, so that route gets its own (larger) JSON limit.
+// It must be registered first: the global parser skips bodies that are already parsed.
+const BATCH_BODY_LIMIT = process.env.BATCH_BODY_LIMIT || '100kb';
+app.use('/api/convert/batch', express.json({ limit: BATCH_BODY_LIMIT }));
+// Ledger revaluation takes a JSON or CSV list of transactions under its own limit.
+const LEDGER_BODY_LIMIT = process.env.LEDGER_BODY_LIMIT || '100kb';
+app.use('/api/ledger/revaluation', express.json({ limit: LEDGER_BODY_LIMIT }), express.text({ type: 'text/csv', limit: LEDGER_BODY_LIMIT }));
+// CSV job uploads get a much larger limit. The whole body (up to the limit) is buffered
+// and then parsed in one pass; larger uploads are refused with 413. Memory per user is
+// bounded by JOB_MAX_ACTIVE_PER_USER (see utils/jobs.js).
+const JOB_BODY_LIMIT = process.env.JOB_BODY_LIMIT || '5mb';
+app.use('/api/jobs', express.text({ type: 'text/csv', limit: JOB_BODY_LIMIT }));
 app.use(express.json({ limit: BODY_LIMIT }));
 app.use(express.urlencoded({ limit: BODY_LIMIT, extended: false }));
 
@@ -36,6 +62,10 @@ app.use(correlationMiddleware);
 // Request logging middleware (should be early in the chain)
 app.use(logRequest);
 
+// CSV bodies become row objects before sanitization (which would flatten their line breaks)
+app.use('/api/ledger/revaluation', csvBodyMiddleware({ maxRows: LEDGER_MAX_TRANSACTIONS }));
+app.use('/api/jobs', csvBodyMiddleware({ maxRows: JOB_MAX_ROWS }));
+
 // Input sanitization middleware for security
 app.use(sanitizationMiddleware({ logSanitization: true }));
 
@@ -43,7 +73,6 @@ app.use(sanitizationMiddleware({ logSanitization: true }));
 app.use(suspiciousActivityMiddleware);
 
 const PORT = process.env.PORT || 3000;
-const EXCHANGE_API_BASE = 'https://v6.exchangerate-api.com/v6';
 
 // Robust CORS using the `cors` package and environment-driven policy.
 // Supports exact origins and simple wildcard patterns like `*.example.com`.
@@ -71,7 +100,7 @@ const WILDCARD_ALLOWED = rawAllowed
 
 const ALLOW_CREDENTIALS = String(process.env.CORS_ALLOW_CREDENTIALS || 'false').toLowerCase() === 'true';
 const PREFLIGHT_MAX_AGE = Number(process.env.CORS_PREFLIGHT_MAX_AGE || 600);
-const ALLOWED_METHODS = (process.env.CORS_ALLOWED_METHODS || 'GET,POST,OPTIONS').split(',').map(m => m.trim()).filter(Boolean);
+const ALLOWED_METHODS = (process.env.CORS_ALLOWED_METHODS || 'GET,POST,PATCH,DELETE,OPTIONS').split(',').map(m => m.trim()).filter(Boolean);
 const ALLOWED_HEADERS = (process.env.CORS_ALLOWED_HEADERS || 'Content-Type,Authorization').split(',').map(h => h.trim()).filter(Boolean);
 const EXPOSED_HEADERS = (process.env.CORS_EXPOSED_HEADERS || '').split(',').map(h => h.trim()).filter(Boolean);
 
@@ -100,64 +129,24 @@ const corsOptions = {
     optionsSuccessStatus: Number(process.env.CORS_OPTIONS_SUCCESS_STATUS || 204)
 };
 
-// Supabase configuration for managed auth
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-const supabase = SUPABASE_URL && SUPABASE_ANON_KEY ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
-
-const SESSION_TTL_MINUTES = Number(process.env.LOGIN_SESSION_TTL_MINUTES || 60);
-const SESSION_TTL_MS = Number.isFinite(SESSION_TTL_MINUTES) ? SESSION_TTL_MINUTES * 60 * 1000 : 60 * 60 * 1000;
-const activeSessions = new Map(); // token -> { username, expiresAt }
-
-// Supabase user identifiers prefer email for auditability; fall back to id when email is absent.
-function resolveUserIdentifier(user, fallback) {
-    if (user && (user.email || user.id)) return user.email || user.id;
-    return fallback || null;
-}
-
+// Supabase client and login flow live in utils/auth.js (shared with the Vercel functions)
 function ensureSupabaseAvailable(req, res, action) {
-    if (supabase) return true;
-    logSiemEvent('AUTH_FAILED', {
-        reason: 'Supabase not configured',
-        path: req.path,
-        action
-    }, req, req.correlationId);
-    res.status(500).json({ success: false, error: 'Authentication service unavailable.', correlationId: req.correlationId });
+    const unavailable = supabaseUnavailable(req, req.correlationId, action);
+    if (!unavailable) return true;
+    sendResult(res, unavailable, req.correlationId);
     return false;
 }
 
-function createSession(username) {
-    const token = uuidv4();
-    const expiresAt = Date.now() + SESSION_TTL_MS;
-    activeSessions.set(token, { username, expiresAt });
-    return { token, expiresAt };
-}
-
-function validateSession(token) {
-    const session = token && activeSessions.get(token);
-    if (!session) return null;
-    if (session.expiresAt <= Date.now()) {
-        activeSessions.delete(token);
-        return null;
-    }
-    return session;
-}
-
+// Session tokens are shared with the Vercel functions (see utils/sessions.js)
 function authMiddleware(req, res, next) {
-    const header = req.headers.authorization || '';
-    const match = header.match(/^Bearer\s+(.+)$/i);
-    const token = match && match[1];
-    const session = validateSession(token);
-    if (!session) {
-        logSiemEvent('AUTH_FAILED', {
-            reason: 'Missing or invalid token',
-            path: req.path
-        }, req, req.correlationId);
+    const auth = authenticateRequest(req, req.correlationId);
+    if (!auth) {
         return res.status(401).json({ success: false, error: 'Unauthorized. Please log in again.', correlationId: req.correlationId });
     }
 
-    req.user = { username: session.username };
-    req.authToken = token;
+    req.user = auth.user;
+    req.authToken = auth.token;
+    req.sessionExpiresAt = auth.expiresAt;
     return next();
 }
 
@@ -224,94 +213,48 @@ const signupLimiter = rateLimit({
 // Request timeout: set socket timeout on the server after listen
 const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS || 30000);
 
-// Conservative whitelist of allowed currency codes (ISO 4217)
-const ALLOWED_CURRENCIES = new Set([
-    'USD','EUR','GBP','JPY','AUD','CAD','CHF','CNY','HKD','NZD','SEK','KRW','SGD','NOK','MXN','INR','RUB','BRL','ZAR','TRY','DKK','PLN','THB','MYR','IDR','HUF','CZK','ILS','PHP','CLP','AED','SAR','COP','ARS','VND','EGP','NGN','KZT','PKR','BDT'
-]);
-
-function validateCurrencyCode(code) {
-    return /^[A-Z]{3}$/.test(code) && ALLOWED_CURRENCIES.has(code);
-}
-
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.get('/api/health', (req, res) => {
+    // Upstream trouble degrades the service but the process itself is healthy, so stay 200.
+    // A refresher switched off by configuration is expected; one that is enabled must be healthy.
+    const rateRefresher = getRefresherStatus();
+    const degraded = rateRefresher.enabled && !rateRefresher.healthy;
+    let message = 'Currency converter API is healthy.';
+    if (degraded) {
+        message = rateRefresher.running
+            ? 'Currency converter API is up, but background rate refreshes are failing or stale.'
+            : 'Currency converter API is up, but the background rate refresher is not running.';
+    }
     res.json({
-        status: 'ok',
-        message: 'Currency converter API is healthy.',
+        status: degraded ? 'degraded' : 'ok',
+        message,
         timestamp: new Date().toISOString(),
+        rateRefresher,
+        upstreamFetches: getFetchMetrics(),
         correlationId: req.correlationId
     });
 });
 
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body || {};
-    if (!username || !password) {
-        logSiemEvent('AUTH_FAILED', {
-            reason: 'Missing credentials',
-            path: req.path
-        }, req, req.correlationId);
-        return res.status(400).json({ success: false, error: 'Username and password are required.', correlationId: req.correlationId });
-    }
-
-    if (!ensureSupabaseAvailable(req, res, 'login')) return;
-
-    try {
-        const { data, error } = await supabase.auth.signInWithPassword({
-            email: String(username),
-            password: String(password)
-        });
-
-        if (error || !data?.user) {
-            logSiemEvent('AUTH_FAILED', {
-                reason: 'Invalid credentials (Supabase)',
-                username: String(username).slice(0, 64),
-                supabaseError: error?.message
-            }, req, req.correlationId);
-            return res.status(401).json({ success: false, error: 'Invalid username or password.', correlationId: req.correlationId });
-        }
-
-        const identifier = resolveUserIdentifier(data.user, null);
-        if (!identifier) {
-            logSiemEvent('AUTH_FAILED', {
-                reason: 'Supabase user identifier missing',
-                username: String(username).slice(0, 64)
-            }, req, req.correlationId);
-            return res.status(500).json({ success: false, error: 'Authentication failed.', correlationId: req.correlationId });
-        }
-
-        const session = createSession(identifier);
-        logSiemEvent('AUTH_SUCCESS', {
-            username: identifier
-        }, req, req.correlationId);
+// Currency registry for the front end selects (public: needed before sign-in)
+app.get('/api/currencies', (req, res) => {
+    const currencies = listCurrencies().map(({ code, name, symbol, minorUnits }) => ({ code, name, symbol, minorUnits }));
+    res.json({
+        success: true,
+        count: currencies.length,
+        currencies,
+        correlationId: req.correlationId
+    });
+});
 
-        return res.json({
-            success: true,
-            token: session.token,
-            username: identifier,
-            expiresAt: session.expiresAt,
-            expiresInSeconds: Math.floor((session.expiresAt - Date.now()) / 1000),
-            correlationId: req.correlationId
-        });
-    } catch (err) {
-        logError(err, { message: 'Supabase login failed' });
-        logSiemEvent('AUTH_FAILED', {
-            reason: 'Supabase auth error',
-            username: String(username).slice(0, 64),
-            error: err?.message
-        }, req, req.correlationId);
-        return res.status(500).json({ success: false, error: 'Authentication failed.', correlationId: req.correlationId });
-    }
+app.post('/api/login', async (req, res) => {
+    const result = await login(req.body || {}, { req, correlationId: req.correlationId });
+    return sendResult(res, result, req.correlationId);
 });
 
 app.post('/api/logout', authMiddleware, (req, res) => {
-    if (req.authToken) {
-        activeSessions.delete(req.authToken);
-    }
-    logSiemEvent('AUTH_LOGOUT', {
-        username: req.user?.username
-    }, req, req.correlationId);
-    return res.json({ success: true, correlationId: req.correlationId });
+    const result = logout({ user: req.user, token: req.authToken }, { req, correlationId: req.correlationId });
+    return sendResult(res, result, req.correlationId);
 });
 
 // Optional signup endpoint to create Supabase-managed users
@@ -395,135 +338,120 @@ app.get('/api/security/metrics', authMiddleware, (req, res) => {
     });
 });
 
+// Conversion logic lives in utils/conversionService.js, shared with the Vercel function.
+// Responds in JSON, CSV, XML or NDJSON (format= or Accept), see utils/responseFormats.js.
 app.get('/api/convert', authMiddleware, async (req, res) => {
-    const { from, to, amount } = req.query || {};
-    const apiKey = process.env.EXCHANGE_RATE_API_KEY;
+    const negotiated = negotiateFormat(req);
+    if (!negotiated.ok) return sendResult(res, negotiated.result, req.correlationId);
+    const result = await convert(negotiated.query, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, formatResult(result, req.correlationId, negotiated.format), req.correlationId);
+});
 
-    if (!from || !to) {
-        logSiemEvent('VALIDATION_FAILED', {
-            reason: 'Missing required query parameters',
-            providedParams: Object.keys(req.query || {}),
-            path: req.path
-        }, req, req.correlationId);
-        return res.status(400).json({ success: false, error: 'Missing required query parameters "from" and "to".', correlationId: req.correlationId });
-    }
+// Natural-language conversion for chat integrations: GET /api/parse-convert?q=250 euros to yen
+app.get('/api/parse-convert', authMiddleware, async (req, res) => {
+    const result = await parseConvert(req.query || {}, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
 
-    const fromCurrency = String(from).toUpperCase();
-    const toCurrency = String(to).toUpperCase();
+// Batch conversion: many { from, to, amount } rows in one authenticated call.
+// Items are grouped by base currency so each base is fetched from upstream at most once,
+// and failures are reported per item instead of failing the whole batch.
+app.post('/api/convert/batch', authMiddleware, async (req, res) => {
+    const items = Array.isArray(req.body) ? req.body : req.body?.items;
+    const result = await convertBatch(items, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
 
-    if (!validateCurrencyCode(fromCurrency) || !validateCurrencyCode(toCurrency)) {
-        logSiemEvent('VALIDATION_FAILED', {
-            reason: 'Invalid currency code',
-            fromCurrency,
-            toCurrency,
-            path: req.path
-        }, req, req.correlationId);
-        return res.status(400).json({ success: false, error: 'Currency codes must be supported 3-letter ISO codes.', correlationId: req.correlationId });
-    }
+// Rate quotes: lock the priced rate for QUOTE_TTL_SECONDS, then accept it at exactly that rate
+app.post('/api/quotes', authMiddleware, async (req, res) => {
+    const result = await createQuote(req.body || {}, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
 
-    const fallback = getFallbackRate(fromCurrency, toCurrency);
-
-    const respondWithRate = (rate, source, lastUpdated) => {
-        let convertedAmount = null;
-        if (Object.prototype.hasOwnProperty.call(req.query, 'amount')) {
-            const rawAmt = String(amount).trim();
-            if (!/^[+-]?\d+(?:\.\d+)?$/.test(rawAmt)) {
-                logSiemEvent('VALIDATION_FAILED', {
-                    reason: 'Invalid amount format',
-                    providedAmount: rawAmt,
-                    path: req.path
-                }, req, req.correlationId);
-                return res.status(400).json({ success: false, error: '"amount" must be a plain decimal number without exponent.', correlationId: req.correlationId });
-            }
-            const num = Number(rawAmt);
-            if (!Number.isFinite(num) || Number.isNaN(num) || num < 0) {
-                logSiemEvent('VALIDATION_FAILED', {
-                    reason: 'Invalid or negative amount',
-                    providedAmount: rawAmt,
-                    parsedValue: num,
-                    path: req.path
-                }, req, req.correlationId);
-                return res.status(400).json({ success: false, error: 'Invalid or negative "amount" provided.', correlationId: req.correlationId });
-            }
-            if (rawAmt.split('.')[1] && rawAmt.split('.')[1].length > 8) {
-                logSiemEvent('VALIDATION_FAILED', {
-                    reason: 'Amount exceeds decimal precision limit',
-                    providedAmount: rawAmt,
-                    decimalPlaces: rawAmt.split('.')[1].length,
-                    path: req.path
-                }, req, req.correlationId);
-                return res.status(400).json({ success: false, error: '"amount" may have at most 8 decimal places.', correlationId: req.correlationId });
-            }
-            convertedAmount = Number((num * rate).toFixed(6));
-        }
+app.get('/api/quotes/:id', authMiddleware, (req, res) => {
+    return sendResult(res, getQuote(req.params.id, { client: req.user.username }), req.correlationId);
+});
 
-        return res.json({
-            success: true,
-            rate,
-            convertedAmount,
-            from: fromCurrency,
-            to: toCurrency,
-            lastUpdated: lastUpdated || new Date().toISOString(),
-            source,
-            correlationId: req.correlationId
-        });
-    };
+app.post('/api/quotes/:id/accept', authMiddleware, (req, res) => {
+    const result = acceptQuote(req.params.id, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
 
-    if (!apiKey) {
-        logger.warn('Exchange rate API key is not configured; using fallback data', {
-            path: req.path,
-            ip: getClientIP(req),
-            fromCurrency,
-            toCurrency,
-            fallbackDefaulted: fallback.defaulted
-        });
-        return respondWithRate(fallback.rate, 'fallback', fallback.lastUpdated);
-    }
+// Portfolio valuation: holdings in several currencies valued in one reporting currency
+app.post('/api/valuation', authMiddleware, async (req, res) => {
+    const result = await valuePortfolio(req.body || {}, { req, correlationId: req.correlationId });
+    return sendResult(res, result, req.correlationId);
+});
 
-    const url = `${EXCHANGE_API_BASE}/${apiKey}/latest/${fromCurrency}`;
+// Ledger revaluation: each transaction at its booking-date rate and at today's rate (unrealized FX gain/loss).
+// Accepts a JSON array, { to?, transactions: [...] } or a text/csv body with date,from,to,amount[,reference]
+// columns; `?to=` sets the reporting currency for rows without one.
+app.post('/api/ledger/revaluation', authMiddleware, async (req, res) => {
+    const transactions = Array.isArray(req.body) ? req.body : req.body?.transactions;
+    const to = (!Array.isArray(req.body) && req.body?.to) || req.query.to || null;
+    const result = await revalueLedger(transactions, { to, req, correlationId: req.correlationId });
+    return sendResult(res, result, req.correlationId);
+});
 
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Upstream API error: ${response.status}`);
-        }
+// Bulk conversion jobs: upload a from,to,amount[,date] CSV, poll progress, download the result CSV
+app.post('/api/jobs', authMiddleware, (req, res) => {
+    const result = createJob(req.body, req.csvColumns, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
 
-        const data = await response.json();
-        if (data.result !== 'success' || !data.conversion_rates) {
-            throw new Error(data.error || 'Unexpected response from ExchangeRate-API');
-        }
+app.get('/api/jobs/:id', authMiddleware, (req, res) => {
+    return sendResult(res, getJob(req.params.id, { client: req.user.username }), req.correlationId);
+});
 
-        const rate = data.conversion_rates[toCurrency];
-        if (typeof rate !== 'number') {
-            logger.warn('Exchange rate not available', {
-                fromCurrency,
-                toCurrency,
-                path: req.path,
-                ip: getClientIP(req)
-            });
-            return res.status(400).json({
-                success: false,
-                error: `Exchange rate from ${fromCurrency} to ${toCurrency} not available.`
-            });
-        }
+app.get('/api/jobs/:id/result', authMiddleware, (req, res) => {
+    return sendResult(res, getJobResult(req.params.id, { client: req.user.username }), req.correlationId);
+});
 
-        return respondWithRate(rate, 'upstream', data.time_last_update_utc);
-    } catch (error) {
-        logError(error, {
-            path: req.path,
-            fromCurrency,
-            toCurrency,
-            ip: getClientIP(req),
-            userAgent: req.headers['user-agent']
-        });
-        logger.warn('Using fallback rate due to upstream failure', {
-            fromCurrency,
-            toCurrency,
-            path: req.path,
-            fallbackDefaulted: fallback.defaulted
-        });
-        return respondWithRate(fallback.rate, 'fallback', fallback.lastUpdated);
-    }
+// Rate provider failover chain: order, configuration, last outcome and (on request) quota
+app.get('/api/providers', authMiddleware, async (req, res) => {
+    return sendResult(res, await getProvidersReport(req.query), req.correlationId);
+});
+
+// Rate alerts: evaluated whenever rates refresh, delivered to the user's webhook with an HMAC signature
+app.post('/api/alerts', authMiddleware, (req, res) => {
+    const result = createAlert(req.body || {}, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
+
+app.get('/api/alerts', authMiddleware, (req, res) => {
+    return sendResult(res, listAlerts({ client: req.user.username }), req.correlationId);
+});
+
+app.get('/api/alerts/:id', authMiddleware, (req, res) => {
+    return sendResult(res, getAlert(req.params.id, { client: req.user.username }), req.correlationId);
+});
+
+app.patch('/api/alerts/:id', authMiddleware, (req, res) => {
+    const result = updateAlert(req.params.id, req.body || {}, { req, correlationId: req.correlationId, client: req.user.username });
+    return sendResult(res, result, req.correlationId);
+});
+
+app.delete('/api/alerts/:id', authMiddleware, (req, res) => {
+    return sendResult(res, deleteAlert(req.params.id, { client: req.user.username }), req.correlationId);
+});
+
+app.get('/api/alerts/:id/deliveries', authMiddleware, (req, res) => {
+    return sendResult(res, getAlertDeliveries(req.params.id, { client: req.user.username }), req.correlationId);
+});
+
+// Live rates as Server-Sent Events; pushes an event whenever the cached rates for the base refresh
+app.get('/api/rates/stream', authMiddleware, (req, res) => {
+    const result = openRateStream(req, res, { correlationId: req.correlationId, sessionExpiresAt: req.sessionExpiresAt });
+    if (result) return sendResult(res, result, req.correlationId);
+    return undefined;
+});
+
+// Per-day rate series with min/max/average/percent-change stats, built from the daily snapshot store
+app.get('/api/rates/timeseries', authMiddleware, async (req, res) => {
+    const negotiated = negotiateFormat(req);
+    if (!negotiated.ok) return sendResult(res, negotiated.result, req.correlationId);
+    const result = await getTimeseries(negotiated.query, { req, correlationId: req.correlationId });
+    return sendResult(res, formatResult(result, req.correlationId, negotiated.format), req.correlationId);
 });
 
 // Fallback to index.html for unknown routes (SPA-friendly)
@@ -570,3 +498,10 @@ const REQUEST_TIMEOUT_MS_NUM = Number(process.env.REQUEST_TIMEOUT_MS || 30000);
 if (Number.isFinite(REQUEST_TIMEOUT_MS_NUM) && REQUEST_TIMEOUT_MS_NUM > 0) {
     server.setTimeout(REQUEST_TIMEOUT_MS_NUM);
 }
+
+// WebSocket rate subscriptions share the HTTP server and the CORS origin policy
+attachRateSocket(server, { isOriginAllowed });
+
+// Load the rates persisted before the restart, then keep every base's rates
+// cached so conversions never wait on the upstream
+warmCacheFromStore().finally(() => startRateRefresher());
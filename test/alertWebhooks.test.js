@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Deliveries go to local servers, so private addresses are allowed in this file
+process.env.ALERT_WEBHOOK_ALLOW_PRIVATE = 'true';
+process.env.ALERT_WEBHOOK_MAX_ATTEMPTS = '1';
+
+const { createAlert, evaluateAlerts, getAlertDeliveries } = require('../utils/alerts');
+const { generateSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../utils/hmacAuth');
+
+// Local server recording every request; `respond` decides the answer
+async function startServer(t, respond) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      respond(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { received, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function deliveryLog(alertId) {
+  for (let i = 0; i < 200; i += 1) {
+    const { body } = getAlertDeliveries(alertId, { client: 'alice' });
+    if (body.count > 0) return body.deliveries;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('no delivery recorded');
+}
+
+function trigger(webhookUrl) {
+  const { body } = createAlert({ from: 'USD', to: 'EUR', comparison: 'above', threshold: 1, webhookUrl }, { client: 'alice' });
+  evaluateAlerts({ base: 'USD', rates: { EUR: 1.2 }, lastUpdated: new Date().toUTCString() });
+  return body;
+}
+
+test('the signature covers the method, path with query string, timestamp and body', async (t) => {
+  const hook = await startServer(t, res => res.end('ok'));
+  const { alert, webhookSecret } = trigger(`${hook.origin}/hooks/rates?tenant=a&v=2`);
+
+  const [delivery] = await deliveryLog(alert.id);
+  assert.equal(delivery.status, 'delivered');
+
+  const [request] = hook.received;
+  assert.equal(request.url, '/hooks/rates?tenant=a&v=2');
+  const timestamp = request.headers[TIMESTAMP_HEADER.toLowerCase()];
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.rate, 1.2);
+  assert.equal(payload.alertId, alert.id);
+  assert.equal(request.headers[SIGNATURE_HEADER.toLowerCase()], generateSignature('POST', '/hooks/rates?tenant=a&v=2', timestamp, payload, webhookSecret));
+  // A changed query string no longer matches
+  assert.notEqual(request.headers[SIGNATURE_HEADER.toLowerCase()], generateSignature('POST', '/hooks/rates?tenant=b&v=2', timestamp, payload, webhookSecret));
+});
+
+test('redirects are not followed', async (t) => {
+  const target = await startServer(t, res => res.end('ok'));
+  const hook = await startServer(t, (res) => {
+    res.writeHead(302, { Location: `${target.origin}/internal` });
+    res.end();
+  });
+  const { alert } = trigger(`${hook.origin}/hook`);
+
+  const [delivery] = await deliveryLog(alert.id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.responseStatus, 302);
+  assert.equal(hook.received.length, 1);
+  assert.equal(target.received.length, 0);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+
+delete process.env.ALERT_WEBHOOK_ALLOW_PRIVATE;
+
+const { createAlert, _internal: { isPrivateHost, resolveWebhookAddress, pinnedAgent } } = require('../utils/alerts');
+
+// Hostname -> queue of lookup answers (one per call), like a rebinding DNS server
+function stubLookup(t, answers) {
+  const realLookup = dns.promises.lookup;
+  t.after(() => { dns.promises.lookup = realLookup; });
+  dns.promises.lookup = async (host) => {
+    const queue = answers[host];
+    if (!queue || queue.length === 0) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    return queue.length > 1 ? queue.shift() : queue[0];
+  };
+}
+
+test('loopback, private, link-local, CGNAT and multicast IPv4 addresses are private', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']
+    .forEach(address => assert.equal(isPrivateHost(address), true, address));
+  ['8.8.8.8', '172.32.0.1', '100.128.0.1', '203.0.113.7'].forEach(address => assert.equal(isPrivateHost(address), false, address));
+});
+
+test('IPv6 loopback, unique-local, link-local, multicast and embedded IPv4 addresses are private', () => {
+  ['::', '::1', '[::1]', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::7f00:1', '64:ff9b::a00:1']
+    .forEach(address => assert.equal(isPrivateHost(address), true, address));
+  ['2606:4700::1111', '2001:4860:4860::8888'].forEach(address => assert.equal(isPrivateHost(address), false, address));
+  // URL parsing normalizes mapped literals before the check
+  assert.equal(isPrivateHost(new URL('http://[::ffff:127.0.0.1]/').hostname), true);
+});
+
+test('local host names are private', () => {
+  ['localhost', 'api.localhost', 'metadata.google.internal'].forEach(host => assert.equal(isPrivateHost(host), true, host));
+});
+
+test('webhook URLs pointing at private addresses are rejected on creation', () => {
+  const created = createAlert({ from: 'USD', to: 'EUR', comparison: 'above', threshold: 1, webhookUrl: 'http://[::ffff:10.0.0.1]:8080/hook' }, { client: 'alice' });
+  assert.equal(created.status, 400);
+  assert.match(created.body.error, /private network/);
+});
+
+test('a host is refused when any of its addresses is private', async (t) => {
+  stubLookup(t, {
+    'hooks.example.test': [[{ address: '203.0.113.7', family: 4 }]],
+    'mixed.example.test': [[{ address: '203.0.113.7', family: 4 }, { address: '10.0.0.5', family: 4 }]]
+  });
+  assert.deepEqual(await resolveWebhookAddress('hooks.example.test'), { address: '203.0.113.7', family: 4 });
+  await assert.rejects(resolveWebhookAddress('mixed.example.test'), /private network address \(10\.0\.0\.5\)/);
+  await assert.rejects(resolveWebhookAddress('[::1]'), /private network address/);
+  await assert.rejects(resolveWebhookAddress('missing.example.test'), /ENOTFOUND/);
+});
+
+test('a rebinding host is checked again on every delivery', async (t) => {
+  stubLookup(t, { 'rebind.example.test': [[{ address: '203.0.113.7', family: 4 }], [{ address: '127.0.0.1', family: 4 }]] });
+  assert.equal((await resolveWebhookAddress('rebind.example.test')).address, '203.0.113.7');
+  await assert.rejects(resolveWebhookAddress('rebind.example.test'), /private network address \(127\.0\.0\.1\)/);
+});
+
+test('the pinned agent connects to the checked address without resolving again', async (t) => {
+  const server = http.createServer((req, res) => res.end(req.headers.host));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  // Any lookup would fail: the name does not exist
+  stubLookup(t, {});
+
+  const agent = pinnedAgent('http:', { address: '127.0.0.1', family: 4 });
+  const body = await new Promise((resolve, reject) => {
+    http.get(`http://pinned.example.test:${server.address().port}/`, { agent }, (res) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve(text));
+    }).on('error', reject);
+  });
+  // The Host header keeps the webhook's name
+  assert.equal(body, `pinned.example.test:${server.address().port}`);
+  agent.destroy();
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFileStore, createKeyValueStore, createRestKeyValueClient, createConfiguredStore } = require('../utils/cache');
+
+const entry = { ts: 1, data: { conversion_rates: { EUR: 0.9 } } };
+
+test('the file store keeps entries across instances until their retention ends', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  try {
+    await createFileStore(dir).set('latest:USD', entry, 60000);
+    await createFileStore(dir).set('latest:EUR', entry, -1);
+
+    const reopened = createFileStore(dir);
+    assert.deepEqual(await reopened.get('latest:USD'), entry);
+    assert.equal(await reopened.get('latest:EUR'), null);
+    assert.deepEqual(await reopened.entries(), [['latest:USD', entry]]);
+    // Expired files are removed when read; no temp files are left behind
+    assert.deepEqual(fs.readdirSync(dir), ['latest_USD.json']);
+
+    await reopened.delete('latest:USD');
+    assert.equal(await reopened.get('latest:USD'), null);
+    await assert.rejects(reopened.get('../etc/passwd'), /Invalid cache key/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the key-value store prefixes keys and stores JSON with a retention', async () => {
+  const calls = [];
+  const values = new Map();
+  const store = createKeyValueStore({
+    get: async key => values.get(key) || null,
+    set: async (key, value, ttlMs) => { calls.push(['set', key, ttlMs]); values.set(key, value); },
+    del: async (key) => { values.delete(key); }
+  });
+
+  await store.set('latest:USD', entry, 1500.4);
+  assert.deepEqual(calls, [['set', 'rates:latest:USD', 1500]]);
+  assert.equal(values.get('rates:latest:USD'), JSON.stringify(entry));
+  assert.deepEqual(await store.get('latest:USD'), entry);
+  await store.delete('latest:USD');
+  assert.equal(await store.get('latest:USD'), null);
+  assert.throws(() => createKeyValueStore({ get() {} }), /must provide/);
+});
+
+test('the REST client sends Redis commands with the bearer token', async () => {
+  const realFetch = global.fetch;
+  const requests = [];
+  global.fetch = async (url, init) => {
+    requests.push({ url, auth: init.headers.Authorization, command: JSON.parse(init.body) });
+    const [name] = JSON.parse(init.body);
+    if (name === 'DEL') return { ok: false, status: 401, json: async () => ({ error: 'WRONGPASS' }) };
+    return { ok: true, status: 200, json: async () => ({ result: name === 'GET' ? '{"ts":1}' : 'OK' }) };
+  };
+  try {
+    const client = createRestKeyValueClient({ url: 'https://kv.example.test', token: 'secret' });
+    await client.set('rates:latest:USD', '{"ts":1}', 5000);
+    assert.equal(await client.get('rates:latest:USD'), '{"ts":1}');
+    await assert.rejects(client.del('rates:latest:USD'), /KV DEL failed: WRONGPASS/);
+
+    assert.deepEqual(requests.map(r => r.command), [
+      ['SET', 'rates:latest:USD', '{"ts":1}', 'PX', 5000],
+      ['GET', 'rates:latest:USD'],
+      ['DEL', 'rates:latest:USD']
+    ]);
+    assert.ok(requests.every(r => r.url === 'https://kv.example.test' && r.auth === 'Bearer secret'));
+  } finally {
+    global.fetch = realFetch;
+  }
+});
+
+test('KV credentials select the KV store unless another store is requested', (t) => {
+  const saved = { ...process.env };
+  t.after(() => { process.env = saved; });
+
+  delete process.env.RATE_CACHE_STORE;
+  process.env.KV_REST_API_URL = 'https://kv.example.test';
+  process.env.KV_REST_API_TOKEN = 'secret';
+  assert.equal(createConfiguredStore().name, 'kv');
+
+  process.env.RATE_CACHE_STORE = 'memory';
+  assert.equal(createConfiguredStore().name, 'memory');
+
+  delete process.env.KV_REST_API_URL;
+  delete process.env.KV_REST_API_TOKEN;
+  process.env.UPSTASH_REDIS_REST_URL = 'https://upstash.example.test';
+  process.env.UPSTASH_REDIS_REST_TOKEN = 'secret';
+  process.env.RATE_CACHE_STORE = 'kv';
+  assert.equal(createConfiguredStore().name, 'kv');
+
+  // Asked for KV without credentials: memory rather than a store that always fails
+  delete process.env.UPSTASH_REDIS_REST_URL;
+  assert.equal(createConfiguredStore().name, 'memory');
+});
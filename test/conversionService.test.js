@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// One configured provider, an in-memory cache and a throwaway snapshot directory
+process.env.EXCHANGE_RATE_API_KEY = 'test-key';
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+process.env.RATE_CACHE_STORE = 'memory';
+process.env.UPSTREAM_RETRIES = '0';
+process.env.RATE_SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'conversion-test-'));
+
+const service = require('../utils/conversionService');
+const { getCacheStore } = require('../utils/cache');
+const { rebaseTable } = require('../utils/triangulation');
+
+const LAST_UPDATED = new Date().toUTCString();
+const USD = { USD: 1, EUR: 0.9, PHP: 58, KRW: 1380, JPY: 150 };
+
+// Upstream calls are counted and fail unless a test installs `upstream`
+const realFetch = global.fetch;
+let upstreamCalls = 0;
+let upstream = null;
+
+const upstreamDown = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' });
+
+test.before(() => {
+  global.fetch = async (url) => {
+    upstreamCalls += 1;
+    return (upstream || upstreamDown)(decodeURIComponent(String(url).split('/').pop()));
+  };
+});
+
+test.after(() => {
+  global.fetch = realFetch;
+  fs.rmSync(process.env.RATE_SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  upstreamCalls = 0;
+  upstream = null;
+  const write = (base, data) => service.writeToCache(base, data, { publish: false, persist: false });
+  write('USD', { base_code: 'USD', conversion_rates: USD, time_last_update_utc: LAST_UPDATED, provider: 'exchangerate-api' });
+  // What the background refresher caches for every other base
+  ['PHP', 'JPY'].forEach((base) => {
+    write(base, {
+      base_code: base,
+      conversion_rates: rebaseTable(USD, base),
+      time_last_update_utc: LAST_UPDATED,
+      provider: 'exchangerate-api',
+      derivedFrom: 'USD'
+    });
+  });
+});
+
+test('cached tables rebased by the refresher answer as derived through their base', async () => {
+  const { status, body } = await service.convert({ from: 'PHP', to: 'KRW', amount: '100' });
+  assert.equal(status, 200);
+  assert.equal(body.source, 'cache');
+  assert.equal(body.rate, Number((1380 / 58).toPrecision(12)));
+  assert.equal(body.derived, true);
+  assert.deepEqual(body.path, ['PHP', 'USD', 'KRW']);
+  assert.equal(body.confidence, 'medium');
+  assert.equal(upstreamCalls, 0);
+});
+
+test('quotes against the rebasing base itself stay direct', async () => {
+  const { body } = await service.convert({ from: 'PHP', to: 'USD' });
+  assert.equal(body.derived, undefined);
+  assert.equal(body.confidence, 'high');
+
+  const fromUsd = await service.convert({ from: 'USD', to: 'KRW' });
+  assert.equal(fromUsd.body.rate, 1380);
+  assert.equal(fromUsd.body.derived, undefined);
+});
+
+test('batch and multi-target answers flag rebased cross rates too', async () => {
+  const batch = await service.convertBatch([
+    { from: 'PHP', to: 'KRW', amount: '100' },
+    { from: 'USD', to: 'KRW', amount: '1' }
+  ]);
+  const [cross, direct] = batch.body.results;
+  assert.deepEqual(cross.path, ['PHP', 'USD', 'KRW']);
+  assert.equal(cross.confidence, 'medium');
+  assert.equal(direct.derived, undefined);
+
+  const multi = await service.convert({ from: 'JPY', to: 'KRW,USD', amount: '1000' });
+  const [krw, usd] = multi.body.results;
+  assert.deepEqual(krw.path, ['JPY', 'USD', 'KRW']);
+  assert.equal(usd.derived, undefined);
+  assert.equal(upstreamCalls, 0);
+});
+
+test('a pair missing from a usable cached table is not refetched', async () => {
+  for (let i = 0; i < 3; i += 1) {
+    const { status, body } = await service.convert({ from: 'USD', to: 'KWD' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'RATE_UNAVAILABLE');
+  }
+  assert.equal(upstreamCalls, 0);
+  assert.equal(service.getFetchMetrics().requests, 0);
+});
+
+// An entry persisted by another instance, as a cold start finds it in the store
+function storeEntry(base, ageMs, rates) {
+  const data = { base_code: base, conversion_rates: rates, time_last_update_utc: new Date().toUTCString(), provider: 'exchangerate-api' };
+  return getCacheStore().set(`latest:${base}`, { ts: Date.now() - ageMs, data }, 24 * 60 * 60 * 1000 + ageMs);
+}
+
+test('a cold start answers from entries persisted in the store', async () => {
+  await storeEntry('GBP', 1000, { GBP: 1, EUR: 1.15 });
+  const { body } = await service.convert({ from: 'GBP', to: 'EUR' });
+  assert.equal(body.source, 'cache');
+  assert.equal(body.rate, 1.15);
+  assert.equal(upstreamCalls, 0);
+});
+
+test('past the revalidate window an entry answers only as cache-fallback when providers fail', async () => {
+  await storeEntry('CHF', service.CACHE_TTL + service.STALE_WHILE_REVALIDATE_MS + 1000, { CHF: 1, EUR: 1.07 });
+  const { status, body } = await service.convert({ from: 'CHF', to: 'EUR', amount: '10' });
+  assert.equal(status, 200);
+  assert.equal(body.source, 'cache-fallback');
+  assert.equal(body.rate, 1.07);
+  assert.equal(body.confidence, 'medium');
+  assert.equal(upstreamCalls, 1);
+});
+
+test('past the stale-if-error window the fallback table answers instead', async () => {
+  await storeEntry('CAD', service.CACHE_TTL + service.STALE_IF_ERROR_MS + 1000, { CAD: 1, KWD: 0.22 });
+  const { status, body } = await service.convert({ from: 'CAD', to: 'KWD' });
+  assert.equal(status, 503);
+  assert.equal(body.code, 'RATE_UNAVAILABLE');
+});
+
+test('a batch converts every valid item and reports invalid ones by index', async () => {
+  const { status, body } = await service.convertBatch([
+    { from: 'USD', to: 'EUR', amount: '100' },
+    { from: 'USD', to: 'EUR,KRW', amount: '1' },
+    { from: 'usd', to: 'KRW', targetAmount: '13800' },
+    { from: 'USD', to: 'EUR', date: '2026-10-01' },
+    'USD,EUR'
+  ]);
+  assert.equal(status, 200);
+  assert.equal(body.count, 5);
+  assert.equal(body.succeeded, 2);
+  assert.equal(body.failed, 3);
+  assert.deepEqual(body.results.map(r => r.index), [0, 1, 2, 3, 4]);
+
+  const [eur, multi, reverse, dated, notObject] = body.results;
+  assert.equal(eur.convertedAmount, 90);
+  assert.equal(eur.source, 'cache');
+  assert.match(multi.error, /single "to" currency/);
+  assert.equal(reverse.sourceAmount, 10);
+  assert.match(dated.error, /do not support "date"/);
+  assert.equal(notObject.success, false);
+  assert.equal(upstreamCalls, 0);
+});
+
+test('batch items are grouped by base so each uncached base is fetched once', async () => {
+  const { body } = await service.convertBatch([
+    { from: 'MXN', to: 'EUR', amount: '1' },
+    { from: 'MXN', to: 'USD', amount: '2' },
+    { from: 'MXN', to: 'KWD', amount: '3' }
+  ]);
+  assert.equal(upstreamCalls, 1);
+  // Every provider failed: the fallback table answers what it can, per item
+  assert.deepEqual(body.results.map(r => r.source || r.code), ['fallback', 'fallback', 'RATE_UNAVAILABLE']);
+});
+
+test('batch requests must be non-empty arrays within the item limit', async () => {
+  assert.equal((await service.convertBatch([])).status, 400);
+  assert.equal((await service.convertBatch({ from: 'USD', to: 'EUR' })).status, 400);
+  const tooMany = new Array(service.BATCH_MAX_ITEMS + 1).fill({ from: 'USD', to: 'EUR' });
+  assert.match((await service.convertBatch(tooMany)).body.error, /at most/);
+});
+
+test('a multi-target request answers every target from one table', async () => {
+  const { status, body } = await service.convert({ from: 'USD', to: 'EUR,KRW,KWD', amount: '10' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.targets, ['EUR', 'KRW', 'KWD']);
+  assert.deepEqual(body.results.map(r => r.convertedAmount), [9, 13800, null]);
+  assert.deepEqual(body.results.map(r => r.available), [true, true, false]);
+  assert.equal(body.source, 'cache');
+  assert.equal(upstreamCalls, 0);
+});
+
+test('concurrent fetches for one base share a single upstream call', async () => {
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  upstream = async base => gate.then(() => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ result: 'success', base_code: base, conversion_rates: { [base]: 1, USD: 0.74 }, time_last_update_utc: LAST_UPDATED })
+  }));
+  const before = service.getFetchMetrics();
+
+  const callers = [1, 2, 3, 4].map(() => service.fetchRates('SGD'));
+  assert.equal(service.getFetchMetrics().inFlight, before.inFlight + 1);
+  release();
+  const results = await Promise.all(callers);
+
+  assert.equal(upstreamCalls, 1);
+  assert.ok(results.every(data => data === results[0]));
+  const after = service.getFetchMetrics();
+  assert.equal(after.requests - before.requests, 4);
+  assert.equal(after.upstreamFetches - before.upstreamFetches, 1);
+  assert.equal(after.coalesced - before.coalesced, 3);
+  assert.equal(after.inFlight, before.inFlight);
+});
+
+test('a failed shared fetch rejects every caller and is not cached', async () => {
+  const before = service.getFetchMetrics();
+  const outcomes = await Promise.allSettled([service.fetchRates('NZD'), service.fetchRates('NZD')]);
+  assert.deepEqual(outcomes.map(o => o.status), ['rejected', 'rejected']);
+  assert.equal(upstreamCalls, 1);
+  assert.equal(service.getFetchMetrics().failures - before.failures, 1);
+
+  await assert.rejects(service.fetchRates('NZD'));
+  assert.equal(upstreamCalls, 2);
+});
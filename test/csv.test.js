@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+test('parseCsv reads quoted fields, doubled quotes, CRLF and a BOM', () => {
+  const parsed = parseCsv('\uFEFFFrom,To,Amount,Reference\r\nUSD,EUR,100,"Invoice ""A"", part 1"\r\nGBP,JPY,5,"multi\nline"\r\n');
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.columns, ['from', 'to', 'amount', 'reference']);
+  assert.deepEqual(parsed.rows, [
+    { from: 'USD', to: 'EUR', amount: '100', reference: 'Invoice "A", part 1' },
+    { from: 'GBP', to: 'JPY', amount: '5', reference: 'multi\nline' }
+  ]);
+});
+
+test('parseCsv skips blank lines and treats empty cells as absent', () => {
+  const parsed = parseCsv('from,to,amount,date\n\nUSD,EUR,1,\n');
+  assert.deepEqual(parsed.rows, [{ from: 'USD', to: 'EUR', amount: '1' }]);
+});
+
+test('parseCsv rejects malformed documents', () => {
+  assert.match(parseCsv('from,to\n"USD,EUR\n').error, /Unterminated quoted field/);
+  assert.match(parseCsv('\n\n').error, /header line/);
+  assert.match(parseCsv('from,from\nUSD,EUR\n').error, /unique/);
+  assert.match(parseCsv('from,to\nUSD\n').error, /Row 1 has 1 fields; expected 2/);
+  assert.match(parseCsv('a\n1\n2\n3\n', { maxRows: 2 }).error, /at most 2 data rows/);
+});
+
+test('toCsv quotes separators and neutralises formula cells', () => {
+  const csv = toCsv(['row', 'reference', 'amount'], [
+    { row: 1, reference: '=HYPERLINK("http://x")', amount: -5 },
+    { row: 2, reference: '+1,2', amount: null },
+    { row: 3, reference: '@SUM(A1)', amount: 1.5 }
+  ]);
+  assert.equal(csv, [
+    'row,reference,amount',
+    '1,"\'=HYPERLINK(""http://x"")",-5',
+    '2,"\'+1,2",',
+    "3,'@SUM(A1),1.5",
+    ''
+  ].join('\r\n'));
+});
+
+test('toCsv output parses back to the same values', () => {
+  const rows = [{ reference: 'a "quoted", value', amount: '10' }];
+  const parsed = parseCsv(toCsv(['reference', 'amount'], rows));
+  assert.deepEqual(parsed.rows, rows);
+});
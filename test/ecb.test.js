@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Fixture documents instead of the ECB website
+process.env.ECB_DAILY_URL = path.join(__dirname, 'fixtures', 'ecb-daily.xml');
+process.env.ECB_HISTORY_URL = path.join(__dirname, 'fixtures', 'ecb-hist.xml');
+
+const ecb = require('../utils/providers/ecb');
+
+test('parseEcbXml reads every day, newest first', () => {
+  const days = ecb.parseEcbXml(`
+    <Cube>
+      <Cube time='2026-10-15'><Cube currency='USD' rate='1.16'/></Cube>
+      <Cube time="2026-10-16"><Cube currency="USD" rate="1.165"/><Cube currency="JPY" rate="175.2"/></Cube>
+    </Cube>`);
+  assert.deepEqual(days, [
+    { date: '2026-10-16', rates: { USD: 1.165, JPY: 175.2 } },
+    { date: '2026-10-15', rates: { USD: 1.16 } }
+  ]);
+});
+
+test('parseEcbXml skips malformed codes, rates and dates', () => {
+  const days = ecb.parseEcbXml(`
+    <Cube time='yesterday'><Cube currency='USD' rate='1.1'/></Cube>
+    <Cube time='2026-10-16'>
+      <Cube currency='usd' rate='1.1'/><Cube currency='JPY' rate='abc'/><Cube currency='GBP' rate='-1'/>
+      <Cube currency='CHF' rate='0.93'/>
+    </Cube>`);
+  assert.deepEqual(days, [{ date: '2026-10-16', rates: { CHF: 0.93 } }]);
+});
+
+test('parseEcbXml rejects documents without rates', () => {
+  assert.throws(() => ecb.parseEcbXml('<html>maintenance</html>'), /Unexpected upstream payload/);
+  assert.throws(() => ecb.parseEcbXml("<Cube time='2026-10-16'></Cube>"), /Unexpected upstream payload/);
+});
+
+test('fetchLatest rebases the EUR table to the requested base', async () => {
+  const eur = await ecb.fetchLatest('EUR');
+  assert.equal(eur.conversion_rates.USD, 1.165);
+  assert.equal(eur.provider, 'ecb');
+  assert.equal(eur.time_last_update_utc, new Date('2026-10-16T15:00:00Z').toUTCString());
+
+  const usd = await ecb.fetchLatest('USD');
+  assert.equal(usd.base_code, 'USD');
+  assert.equal(usd.conversion_rates.USD, 1);
+  assert.equal(usd.conversion_rates.EUR, Number((1 / 1.165).toPrecision(12)));
+  assert.equal(usd.conversion_rates.JPY, Number((175.2 / 1.165).toPrecision(12)));
+});
+
+test('bases the ECB does not quote fail with BASE_NOT_QUOTED', async () => {
+  await assert.rejects(ecb.fetchLatest('KWD'), { code: 'BASE_NOT_QUOTED' });
+});
+
+test('fetchHistory returns rebased tables newest first, skipping days without the base', async () => {
+  const tables = await ecb.fetchHistory('JPY');
+  assert.deepEqual(tables.map(t => t.time_last_update_utc), [
+    new Date('2026-10-16T15:00:00Z').toUTCString(),
+    new Date('2026-10-15T15:00:00Z').toUTCString()
+  ]);
+  assert.equal(tables[0].conversion_rates.USD, Number((1.165 / 175.2).toPrecision(12)));
+});
+
+test('listSupportedCodes includes EUR', async () => {
+  assert.deepEqual(await ecb.listSupportedCodes(), ['EUR', 'GBP', 'JPY', 'PHP', 'USD']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Undated rows use the fallback table (no provider), dated rows the snapshot below
+process.env.RATE_SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+process.env.RATE_CACHE_STORE = 'memory';
+delete process.env.EXCHANGE_RATE_API_KEY;
+
+const { recordSnapshot } = require('../utils/rateSnapshots');
+const { createJob, getJob, getJobResult, JOB_MAX_ACTIVE_PER_USER } = require('../utils/jobs');
+const { parseCsv } = require('../utils/csv');
+
+test.before(async () => {
+  await recordSnapshot('USD', { conversion_rates: { USD: 1, EUR: 0.92, GBP: 0.8 }, time_last_update_utc: 'Fri, 16 Oct 2026 00:00:01 +0000' });
+});
+
+test.after(() => {
+  fs.rmSync(process.env.RATE_SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+async function finished(id, client) {
+  for (let i = 0; i < 100; i += 1) {
+    const { body } = getJob(id, { client });
+    if (body.job.status === 'completed' || body.job.status === 'failed') return body.job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('job did not finish');
+}
+
+test('dated and undated rows are validated the same way', async () => {
+  const { rows, columns } = parseCsv([
+    'from,to,amount,date',
+    'USD,EUR,10,',
+    'USD,"EUR,GBP",10,',
+    'USD,EUR,10,2026-10-16',
+    'USD,"EUR,GBP",10,2026-10-16',
+    'USD,XXX,10,2026-10-16'
+  ].join('\n'));
+
+  const created = createJob(rows, columns, { client: 'alice' });
+  assert.equal(created.status, 202);
+  const job = await finished(created.body.job.id, 'alice');
+  assert.equal(job.status, 'completed');
+  assert.equal(job.succeeded, 2);
+  assert.equal(job.failed, 3);
+
+  const { status, text } = getJobResult(job.id, { client: 'alice' });
+  assert.equal(status, 200);
+  const { rows: results } = parseCsv(text);
+  assert.deepEqual(results.map(r => r.status), ['ok', 'error', 'ok', 'error', 'error']);
+  assert.equal(results[0].source, 'fallback');
+  assert.equal(results[2].source, 'snapshot');
+  assert.equal(results[2].rate, '0.92');
+  assert.match(results[3].error, /single "to" currency/);
+  assert.equal(results[3].rate, undefined);
+
+  // Jobs are private to their owner
+  assert.equal(getJob(job.id, { client: 'bob' }).status, 404);
+});
+
+test('each user may only have a limited number of active jobs', () => {
+  const { rows, columns } = parseCsv('from,to,amount\nUSD,EUR,1');
+  const statuses = [];
+  for (let i = 0; i <= JOB_MAX_ACTIVE_PER_USER; i += 1) {
+    statuses.push(createJob(rows, columns, { client: 'carol' }).status);
+  }
+  assert.deepEqual(statuses, [...new Array(JOB_MAX_ACTIVE_PER_USER).fill(202), 429]);
+  assert.equal(createJob(rows, columns, { client: 'dave' }).status, 202);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Booking-date rates from the snapshot below; current rates from the fallback table (no provider)
+process.env.RATE_SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+process.env.SNAPSHOT_DATE_POLICY = 'exact';
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+process.env.RATE_CACHE_STORE = 'memory';
+delete process.env.EXCHANGE_RATE_API_KEY;
+
+const { recordSnapshot } = require('../utils/rateSnapshots');
+const { revalueLedger } = require('../utils/ledger');
+const { getFallbackRate } = require('../utils/fallbackRates');
+
+test.before(async () => {
+  await recordSnapshot('USD', { conversion_rates: { USD: 1, EUR: 0.92, KRW: 1380 }, time_last_update_utc: 'Fri, 16 Oct 2026 00:00:01 +0000' });
+});
+
+test.after(() => {
+  fs.rmSync(process.env.RATE_SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+test('transactions are revalued from their booking-date rate to the current rate', async () => {
+  const { status, body } = await revalueLedger([
+    { date: '2026-10-16', from: 'USD', to: 'EUR', amount: '100', reference: 'INV-1' },
+    { date: '2026-10-16', from: 'USD', amount: '50' }
+  ], { to: 'EUR' });
+  assert.equal(status, 200);
+  assert.equal(body.succeeded, 2);
+
+  const [first, second] = body.results;
+  assert.equal(first.reference, 'INV-1');
+  assert.equal(first.historicalRate, 0.92);
+  assert.equal(first.historicalAmount, 92);
+  assert.equal(first.currentRate, getFallbackRate('USD', 'EUR').rate);
+  assert.equal(first.currentAmount, 85);
+  assert.equal(first.differenceDecimal, '-7.00');
+  assert.equal(first.source, 'fallback');
+  assert.equal(second.to, 'EUR');
+
+  assert.deepEqual(body.totals, [{ currency: 'EUR', historicalAmount: 138, currentAmount: 127.5, difference: -10.5, differenceDecimal: '-10.50' }]);
+});
+
+test('booking-date rates the snapshot does not quote are derived and report their path', async () => {
+  const { body } = await revalueLedger([{ date: '2026-10-16', from: 'EUR', to: 'KRW', amount: '10' }]);
+  const [line] = body.results;
+  assert.equal(line.success, true);
+  assert.equal(line.historicalRate, Number((1380 / 0.92).toPrecision(12)));
+  assert.deepEqual(line.historicalPath, ['EUR', 'USD', 'KRW']);
+});
+
+test('lines that cannot be revalued carry an error while the others are returned', async () => {
+  const { body } = await revalueLedger([
+    { date: '2026-10-16', from: 'USD', to: 'EUR', amount: '1' },
+    { date: '2026-10-01', from: 'USD', to: 'EUR', amount: '1' },
+    { from: 'USD', to: 'EUR', amount: '1' },
+    { date: '2026-10-16', from: 'USD', to: 'KWD', amount: '1' },
+    { date: '2026-10-16', from: 'USD', to: 'EUR', amount: '1', memo: 'x' }
+  ]);
+  assert.equal(body.succeeded, 1);
+  assert.deepEqual(body.results.map(r => r.code || (r.success ? 'ok' : 'invalid')), ['ok', 'SNAPSHOT_NOT_FOUND', 'invalid', 'SNAPSHOT_NOT_FOUND', 'invalid']);
+  assert.match(body.results[2].error, /needs a "date"/);
+  assert.match(body.results[4].error, /Unexpected field 'memo'/);
+});
+
+test('an empty ledger is rejected', async () => {
+  assert.equal((await revalueLedger([])).status, 400);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  roundMoney,
+  convertMoney,
+  reverseConvertMoney,
+  getMinorUnits,
+  parseRoundingOptions
+} = require('../utils/money');
+
+test('getMinorUnits follows ISO 4217 and defaults to 2', () => {
+  assert.equal(getMinorUnits('USD'), 2);
+  assert.equal(getMinorUnits('JPY'), 0);
+  assert.equal(getMinorUnits('KWD'), 3);
+  assert.equal(getMinorUnits('XXX'), 2);
+});
+
+test('roundMoney applies each rounding mode', () => {
+  const round = rounding => roundMoney('2.345', 'USD', { rounding }).toFixed(2);
+  assert.equal(round('half-even'), '2.34');
+  assert.equal(round('half-up'), '2.35');
+  assert.equal(round('down'), '2.34');
+  assert.equal(round('up'), '2.35');
+  assert.equal(roundMoney('2.355', 'USD', { rounding: 'half-even' }).toFixed(2), '2.36');
+});
+
+test('roundMoney rounds to the currency exponent', () => {
+  assert.equal(roundMoney('1234.5', 'JPY', { rounding: 'half-up' }).toFixed(0), '1235');
+  assert.equal(roundMoney('1.23456', 'KWD', { rounding: 'half-up' }).toFixed(3), '1.235');
+});
+
+test('cash rounding uses the smallest denomination', () => {
+  assert.equal(roundMoney('10.03', 'CHF', { rounding: 'half-up', cash: true }).toFixed(2), '10.05');
+  assert.equal(roundMoney('10.02', 'CHF', { rounding: 'half-up', cash: true }).toFixed(2), '10.00');
+  assert.equal(roundMoney('10.4', 'SEK', { rounding: 'half-up', cash: true }).toFixed(0), '10');
+  // Currencies without a cash increment keep their minor units
+  assert.equal(roundMoney('10.03', 'USD', { rounding: 'half-up', cash: true }).toFixed(2), '10.03');
+});
+
+test('convertMoney avoids binary float drift', () => {
+  const result = convertMoney('0.1', 3, 'USD', { rounding: 'half-even' });
+  assert.equal(result.convertedAmountDecimal, '0.30');
+  assert.equal(result.convertedAmount, 0.3);
+  assert.equal(result.minorUnits, 2);
+});
+
+test('convertMoney reports nulls for rate-only requests', () => {
+  const result = convertMoney(null, 1.5, 'EUR');
+  assert.equal(result.convertedAmount, null);
+  assert.equal(result.convertedAmountDecimal, null);
+});
+
+test('reverseConvertMoney rounds the source amount in the source currency', () => {
+  const result = reverseConvertMoney('100', 0.9, 'USD', { rounding: 'up' });
+  assert.equal(result.direction, 'reverse');
+  assert.equal(result.sourceAmountDecimal, '111.12');
+  assert.equal(result.targetAmount, 100);
+});
+
+test('parseRoundingOptions validates rounding and cash', () => {
+  assert.deepEqual(parseRoundingOptions({ rounding: 'HALF-UP', cash: 'true' }), { ok: true, rounding: 'half-up', cash: true });
+  assert.equal(parseRoundingOptions({ rounding: 'bankers' }).ok, false);
+  assert.equal(parseRoundingOptions({ cash: 'yes' }).ok, false);
+});
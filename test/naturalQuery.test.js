@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLocaleAmount, parseConversionText, resolveCurrencyTerm, parseConvert } = require('../utils/naturalQuery');
+
+test('parseLocaleAmount reads grouping separators and decimal marks', () => {
+  assert.equal(parseLocaleAmount('1,500'), '1500');
+  assert.equal(parseLocaleAmount('12,50'), '12.50');
+  assert.equal(parseLocaleAmount('1.5'), '1.5');
+  assert.equal(parseLocaleAmount('1.234,56'), '1234.56');
+  assert.equal(parseLocaleAmount('1,234.56'), '1234.56');
+  assert.equal(parseLocaleAmount('1 000'), '1000');
+  assert.equal(parseLocaleAmount("1'000'000"), '1000000');
+  assert.equal(parseLocaleAmount('1.234.567'), '1234567');
+});
+
+test('parseLocaleAmount treats a single "." as the decimal mark', () => {
+  assert.equal(parseLocaleAmount('1.500'), '1.500');
+});
+
+test('parseLocaleAmount rejects malformed grouping', () => {
+  assert.equal(parseLocaleAmount('12,34,56'), null);
+  assert.equal(parseLocaleAmount('1,23.45'), null);
+  assert.equal(parseLocaleAmount('1.2.3,4.5'), null);
+});
+
+test('currency terms resolve by code, symbol and name', () => {
+  assert.deepEqual(resolveCurrencyTerm('EUR').codes, ['EUR']);
+  assert.deepEqual(resolveCurrencyTerm('euros').codes, ['EUR']);
+  assert.deepEqual(resolveCurrencyTerm('₱').codes, ['PHP']);
+  assert.deepEqual(resolveCurrencyTerm('yen').codes, ['JPY']);
+});
+
+test('"$" and "kr" are ambiguous and list every candidate', () => {
+  const dollar = resolveCurrencyTerm('$').codes;
+  assert.ok(dollar.length > 1);
+  assert.ok(dollar.includes('USD'));
+  assert.ok(dollar.includes('CAD'));
+  const krona = resolveCurrencyTerm('kr').codes;
+  assert.ok(krona.length > 1);
+  assert.ok(krona.includes('SEK'));
+  assert.ok(krona.includes('NOK'));
+  assert.deepEqual(resolveCurrencyTerm('US$').codes, ['USD']);
+});
+
+test('parseConversionText splits amount, source and target', () => {
+  const parsed = parseConversionText('convert ₱1,500 in USD?');
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.amount, '1500');
+  assert.deepEqual(parsed.from.codes, ['PHP']);
+  assert.deepEqual(parsed.to.codes, ['USD']);
+  assert.equal(parseConversionText('250 euros').ok, false);
+});
+
+test('parseConvert answers ambiguous symbols with candidates instead of guessing', async () => {
+  const result = await parseConvert({ q: '$20 to kr' });
+  assert.equal(result.status, 400);
+  assert.equal(result.body.code, 'AMBIGUOUS_CURRENCY');
+  assert.ok(result.body.candidates.from.some(c => c.code === 'USD'));
+  assert.ok(result.body.candidates.to.some(c => c.code === 'SEK'));
+});
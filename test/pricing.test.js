@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Inline configuration, read when pricing.js is loaded
+process.env.PRICING_CONFIG = JSON.stringify({
+  default: { spreadPercent: 1, feePercent: 0.5, fixedFee: 1, minFee: 2 },
+  pairs: { 'USD/PHP': { spreadPercent: 2 } },
+  clients: {
+    acme: {
+      default: { feePercent: 0 },
+      pairs: { 'USD/PHP': { spreadPercent: 0.5, fixedFee: 0 } }
+    }
+  }
+});
+
+const { resolvePricingRule, priceConversion, loadPricingConfig } = require('../utils/pricing');
+
+test('rules merge default <- pair <- client default <- client pair', () => {
+  assert.deepEqual(resolvePricingRule('USD', 'EUR'), { spreadPercent: 1, feePercent: 0.5, fixedFee: 1, minFee: 2 });
+  assert.deepEqual(resolvePricingRule('USD', 'PHP'), { spreadPercent: 2, feePercent: 0.5, fixedFee: 1, minFee: 2 });
+  assert.deepEqual(resolvePricingRule('USD', 'EUR', 'acme'), { spreadPercent: 1, feePercent: 0, fixedFee: 1, minFee: 2 });
+  assert.deepEqual(resolvePricingRule('USD', 'PHP', 'acme'), { spreadPercent: 0.5, feePercent: 0, fixedFee: 0, minFee: 2 });
+  // Unknown clients get the public rules
+  assert.deepEqual(resolvePricingRule('USD', 'PHP', 'someone'), resolvePricingRule('USD', 'PHP'));
+});
+
+test('the spread lowers the applied rate and amounts use it', () => {
+  const priced = priceConversion({ from: 'USD', to: 'PHP', amount: '100', targetAmount: null }, 58);
+  assert.equal(priced.midRate, 58);
+  assert.equal(priced.appliedRate, 56.84);
+  assert.equal(priced.convertedAmountDecimal, '5684.00');
+});
+
+test('fees add the percentage and fixed fee, with the minimum as a floor', () => {
+  const large = priceConversion({ from: 'USD', to: 'EUR', amount: '1000', targetAmount: null }, 0.9);
+  assert.equal(large.fee, 6);
+  assert.equal(large.totalCost, 1006);
+  assert.equal(large.feeCurrency, 'USD');
+  const small = priceConversion({ from: 'USD', to: 'EUR', amount: '10', targetAmount: null }, 0.9);
+  assert.equal(small.fee, 2);
+});
+
+test('no fee on zero amounts or rate-only requests', () => {
+  const zero = priceConversion({ from: 'USD', to: 'EUR', amount: '0', targetAmount: null }, 0.9);
+  assert.equal(zero.fee, 0);
+  assert.equal(zero.totalCost, 0);
+  const rateOnly = priceConversion({ from: 'USD', to: 'EUR', amount: null, targetAmount: null }, 0.9);
+  assert.equal(rateOnly.fee, null);
+  assert.equal(rateOnly.totalCost, null);
+});
+
+test('reverse conversions charge the fee on the computed source amount', () => {
+  const priced = priceConversion({ from: 'USD', to: 'EUR', amount: null, targetAmount: '891', client: 'acme' }, 0.9, { rounding: 'up' });
+  assert.equal(priced.appliedRate, 0.891);
+  assert.equal(priced.sourceAmountDecimal, '1000.00');
+  assert.equal(priced.fee, 2);
+  assert.equal(priced.totalCost, 1002);
+});
+
+test('invalid pricing files are rejected', () => {
+  const withConfig = (config, fn) => {
+    process.env.PRICING_CONFIG = JSON.stringify(config);
+    try {
+      return fn();
+    } finally {
+      delete process.env.PRICING_CONFIG;
+    }
+  };
+  assert.throws(() => withConfig({ default: { spreadPercent: 100 } }, loadPricingConfig), /below 100/);
+  assert.throws(() => withConfig({ default: { margin: 1 } }, loadPricingConfig), /Unknown pricing field/);
+  assert.throws(() => withConfig({ pairs: { usdphp: {} } }, loadPricingConfig), /must look like/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Chain under test: ExchangeRate-API first, ECB (fixture file) second
+process.env.RATE_PROVIDERS = 'exchangerate-api,ecb';
+process.env.UPSTREAM_RETRIES = '0';
+process.env.ECB_DAILY_URL = path.join(__dirname, 'fixtures', 'ecb-daily.xml');
+process.env.EXCHANGE_RATE_API_KEY = 'test-key';
+
+const providers = require('../utils/providers');
+
+const realFetch = global.fetch;
+let primaryUp = true;
+
+test.beforeEach(() => {
+  primaryUp = true;
+  process.env.EXCHANGE_RATE_API_KEY = 'test-key';
+  global.fetch = async url => {
+    if (!primaryUp) {
+      return { ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' };
+    }
+    const base = decodeURIComponent(String(url).split('/').pop());
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        result: 'success',
+        base_code: base,
+        conversion_rates: { [base]: 1, EUR: 0.9 },
+        time_last_update_utc: 'Fri, 16 Oct 2026 00:00:01 +0000'
+      })
+    };
+  };
+});
+
+test.after(() => {
+  global.fetch = realFetch;
+});
+
+test('the first provider answers while it is up', async () => {
+  const table = await providers.fetchLatestRates('USD');
+  assert.equal(table.provider, 'exchangerate-api');
+  assert.equal(table.conversion_rates.EUR, 0.9);
+});
+
+test('a failing provider hands over to the next one in the chain', async () => {
+  primaryUp = false;
+  const table = await providers.fetchLatestRates('USD');
+  assert.equal(table.provider, 'ecb');
+  assert.equal(table.base_code, 'USD');
+
+  const [primary] = await providers.describeProviders();
+  assert.equal(primary.id, 'exchangerate-api');
+  assert.ok(primary.consecutiveFailures >= 1);
+  assert.ok(primary.lastError);
+});
+
+test('when every provider fails the error lists each failure', async () => {
+  primaryUp = false;
+  const err = await providers.fetchLatestRates('KWD').then(() => null, e => e);
+  assert.ok(err);
+  assert.deepEqual(err.failures.map(f => f.provider), ['exchangerate-api', 'ecb']);
+  assert.equal(err.failures[1].code, 'BASE_NOT_QUOTED');
+  assert.equal(err.code, undefined);
+});
+
+test('BASE_NOT_QUOTED is set only when no provider covers the base', async () => {
+  delete process.env.EXCHANGE_RATE_API_KEY;
+  assert.deepEqual(providers.getProviderChain().map(p => p.id), ['ecb']);
+  await assert.rejects(providers.fetchLatestRates('KWD'), { code: 'BASE_NOT_QUOTED' });
+
+  // Unquoted bases do not count against the provider
+  const ecb = (await providers.describeProviders()).find(p => p.id === 'ecb');
+  assert.equal(ecb.consecutiveFailures, 0);
+});
+
+test('unconfigured providers are skipped and reported as such', async () => {
+  delete process.env.EXCHANGE_RATE_API_KEY;
+  assert.equal(providers.hasProviders(), true);
+  const report = await providers.getProvidersReport({});
+  assert.equal(report.status, 200);
+  assert.deepEqual(report.body.chain, ['exchangerate-api', 'ecb']);
+  assert.equal(report.body.providers[0].configured, false);
+});
+
+test('getProvidersReport rejects unknown parameters', async () => {
+  assert.equal((await providers.getProvidersReport({ foo: '1' })).status, 400);
+  assert.equal((await providers.getProvidersReport({ quota: 'maybe' })).status, 400);
+});
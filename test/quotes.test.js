@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A configured provider that is down: quotes are priced from the cached USD table
+process.env.EXCHANGE_RATE_API_KEY = 'test-key';
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+process.env.RATE_CACHE_STORE = 'memory';
+process.env.UPSTREAM_RETRIES = '0';
+
+const { writeToCache } = require('../utils/conversionService');
+const { createQuote, getQuote, acceptQuote, QUOTE_TTL_MS } = require('../utils/quotes');
+
+const realFetch = global.fetch;
+
+test.before(() => {
+  global.fetch = async () => ({ ok: false, status: 503, statusText: 'Service Unavailable', text: async () => 'down' });
+  writeToCache('USD', {
+    base_code: 'USD',
+    conversion_rates: { USD: 1, EUR: 0.9 },
+    time_last_update_utc: new Date().toUTCString(),
+    provider: 'exchangerate-api'
+  }, { publish: false, persist: false });
+});
+
+test.after(() => {
+  global.fetch = realFetch;
+});
+
+// Run fn with the clock moved forward by ms
+function later(ms, fn) {
+  const realNow = Date.now;
+  Date.now = () => realNow() + ms;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('a quote exposes the locked conversion but not its owner', async () => {
+  const { status, body } = await createQuote({ from: 'USD', to: 'EUR', amount: '100' }, { client: 'alice' });
+  assert.equal(status, 201);
+  const { quote } = body;
+  assert.equal(quote.status, 'open');
+  assert.equal(quote.rate, 0.9);
+  assert.equal(quote.source, 'cache');
+  assert.equal(typeof quote.appliedRate, 'number');
+  assert.equal(quote.username, undefined);
+  assert.ok(quote.expiresInSeconds > 0 && quote.expiresInSeconds <= QUOTE_TTL_MS / 1000);
+
+  assert.equal(getQuote(quote.id, { client: 'alice' }).body.quote.username, undefined);
+  assert.equal(getQuote(quote.id, { client: 'bob' }).status, 404);
+});
+
+test('a quote can be accepted once, at its locked rate', async () => {
+  const { body: { quote } } = await createQuote({ from: 'USD', to: 'EUR', amount: '10' }, { client: 'alice' });
+
+  assert.equal(acceptQuote(quote.id, { client: 'bob' }).status, 404);
+  const accepted = acceptQuote(quote.id, { client: 'alice' });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.quote.status, 'accepted');
+  assert.equal(accepted.body.quote.appliedRate, quote.appliedRate);
+  assert.ok(accepted.body.quote.acceptedAt);
+
+  const again = acceptQuote(quote.id, { client: 'alice' });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'QUOTE_ALREADY_ACCEPTED');
+});
+
+test('an expired quote cannot be accepted', async () => {
+  const { body: { quote } } = await createQuote({ from: 'USD', to: 'EUR', targetAmount: '50' }, { client: 'alice' });
+
+  later(QUOTE_TTL_MS + 1, () => {
+    assert.equal(getQuote(quote.id, { client: 'alice' }).body.quote.status, 'expired');
+    const expired = acceptQuote(quote.id, { client: 'alice' });
+    assert.equal(expired.status, 410);
+    assert.equal(expired.body.code, 'QUOTE_EXPIRED');
+    assert.equal(expired.body.quote.expiresInSeconds, 0);
+  });
+  // Once rejected as expired, a quote stays expired
+  assert.equal(acceptQuote(quote.id, { client: 'alice' }).status, 410);
+});
+
+test('fallback rates are never locked in', async () => {
+  const { status, body } = await createQuote({ from: 'GBP', to: 'EUR', amount: '10' }, { client: 'alice' });
+  assert.equal(status, 503);
+  assert.equal(body.code, 'RATE_UNAVAILABLE');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.EXCHANGE_RATE_API_KEY = 'test-key';
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+process.env.RATE_CACHE_STORE = 'memory';
+process.env.RATE_SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'refresher-test-'));
+
+const { refreshNow, getRefresherStatus } = require('../utils/rateRefresher');
+const { readFromCache } = require('../utils/conversionService');
+
+const realFetch = global.fetch;
+
+test.before(() => {
+  global.fetch = async () => ({
+    ok: true,
+    status: 200,
+    json: async () => ({
+      result: 'success',
+      base_code: 'USD',
+      conversion_rates: { USD: 1, EUR: 0.9, JPY: 150 },
+      time_last_update_utc: new Date().toUTCString()
+    })
+  });
+});
+
+test.after(() => {
+  global.fetch = realFetch;
+  fs.rmSync(process.env.RATE_SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+// Snapshots are written in the background; wait until the reference base's file exists
+async function snapshotBases() {
+  const dir = process.env.RATE_SNAPSHOT_DIR;
+  for (let i = 0; i < 50 && !fs.existsSync(path.join(dir, 'USD')); i += 1) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return fs.readdirSync(dir).sort();
+}
+
+test('one refresh caches every base but snapshots only the fetched one', async () => {
+  assert.equal(await refreshNow(), true);
+  assert.equal(readFromCache('JPY').derivedFrom, 'USD');
+  assert.equal(readFromCache('JPY').conversion_rates.EUR, Number((0.9 / 150).toPrecision(12)));
+  assert.deepEqual(await snapshotBases(), ['USD']);
+
+  const status = getRefresherStatus();
+  assert.equal(status.derivedBases, 2);
+  // Not started, so not healthy even after a successful refresh
+  assert.equal(status.healthy, false);
+});
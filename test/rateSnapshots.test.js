@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.RATE_SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+process.env.SNAPSHOT_DATE_POLICY = 'nearest-prior';
+// No provider: back-fills find no history
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+delete process.env.EXCHANGE_RATE_API_KEY;
+
+const snapshots = require('../utils/rateSnapshots');
+
+const DAY = '2026-10-16';
+const payload = (base, rates) => ({ base_code: base, conversion_rates: rates, time_last_update_utc: 'Fri, 16 Oct 2026 00:00:01 +0000' });
+
+test.before(async () => {
+  await snapshots.recordSnapshot('USD', payload('USD', { USD: 1, EUR: 0.9, PHP: 58, KRW: 1380 }));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.RATE_SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+test('recordSnapshot files the payload under its base and publish day', async () => {
+  assert.deepEqual(await snapshots.listSnapshotDays('USD'), [DAY]);
+  const stored = await snapshots.readSnapshot('USD', DAY);
+  assert.equal(stored.base, 'USD');
+  assert.equal(stored.conversion_rates.PHP, 58);
+});
+
+test('bases without a snapshot are answered from a pivot snapshot rebased to them', async () => {
+  const resolved = await snapshots.resolveSnapshot('PHP', DAY);
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.exact, true);
+  assert.equal(resolved.snapshot.base, 'PHP');
+  assert.equal(resolved.snapshot.derivedFrom, 'USD');
+  assert.equal(resolved.snapshot.conversion_rates.USD, Number((1 / 58).toPrecision(12)));
+  assert.deepEqual(await snapshots.listSnapshotDays('PHP'), []);
+});
+
+test('nearest-prior also considers the pivots\' days', async () => {
+  const resolved = await snapshots.resolveSnapshot('PHP', '2026-10-18');
+  assert.equal(resolved.ok, true);
+  assert.equal(resolved.exact, false);
+  assert.equal(resolved.snapshot.date, DAY);
+  assert.equal((await snapshots.resolveSnapshot('PHP', '2026-09-01')).code, 'SNAPSHOT_NOT_FOUND');
+});
+
+test('rates from a rebased snapshot are derived through its pivot', async () => {
+  const { snapshot } = await snapshots.resolveSnapshot('PHP', DAY);
+  const cross = await snapshots.resolveSnapshotRate(snapshot, 'KRW');
+  assert.deepEqual(cross, { rate: Number((1380 / 58).toPrecision(12)), derived: true, path: ['PHP', 'USD', 'KRW'] });
+  // A quote of the pivot itself is the reciprocal of a captured rate
+  assert.equal((await snapshots.resolveSnapshotRate(snapshot, 'USD')).derived, false);
+});
+
+test('historical /convert answers the pairs the ledger prices, flagged as derived', async () => {
+  await snapshots.recordSnapshot('EUR', payload('EUR', { EUR: 1, USD: 1.11, KRW: 1530 }));
+  const { snapshot } = await snapshots.resolveSnapshot('EUR', DAY);
+  assert.equal(snapshot.derivedFrom, undefined);
+
+  const single = await snapshots.buildSnapshotResponse({ from: 'EUR', targets: ['PHP'], amount: '10', requestedDate: DAY, snapshot });
+  assert.equal(single.status, 200);
+  assert.equal(single.body.source, 'snapshot');
+  assert.equal(single.body.derived, true);
+  assert.deepEqual(single.body.path, ['EUR', 'USD', 'PHP']);
+  assert.equal(single.body.rate, (await snapshots.resolveSnapshotRate(snapshot, 'PHP')).rate);
+
+  const multi = await snapshots.buildSnapshotResponse({ from: 'EUR', targets: ['KRW', 'PHP', 'CHF'], amount: null, requestedDate: DAY, snapshot });
+  const [krw, php, chf] = multi.body.results;
+  assert.equal(krw.rate, 1530);
+  assert.equal(krw.derived, undefined);
+  assert.deepEqual(php.path, ['EUR', 'USD', 'PHP']);
+  assert.equal(chf.available, false);
+
+  const missing = await snapshots.buildSnapshotResponse({ from: 'EUR', targets: ['CHF'], amount: null, requestedDate: DAY, snapshot });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'SNAPSHOT_NOT_FOUND');
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+delete process.env.EXCHANGE_RATE_API_KEY;
+
+const { attachRateSocket, WS_PATH } = require('../utils/rateSocket');
+const { publishRates } = require('../utils/rateEvents');
+const { createSession } = require('../utils/sessions');
+
+let server;
+let wss;
+let url;
+
+test.before(async () => {
+  server = http.createServer();
+  wss = attachRateSocket(server, { isOriginAllowed: origin => origin === 'http://allowed.test' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `ws://127.0.0.1:${server.address().port}${WS_PATH}`;
+});
+
+test.after(async () => {
+  wss.clients.forEach(ws => ws.terminate());
+  wss.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Client that queues incoming messages so tests can await them in order
+function connect(options) {
+  const ws = new WebSocket(url, options);
+  const queue = [];
+  const waiting = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString('utf8'));
+    if (waiting.length > 0) waiting.shift()(message);
+    else queue.push(message);
+  });
+  ws.next = () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve)));
+  ws.request = (message) => {
+    ws.send(JSON.stringify(message));
+    return ws.next();
+  };
+  ws.closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+  return ws;
+}
+
+const payload = rates => ({ conversion_rates: rates, time_last_update_utc: 'Fri, 16 Oct 2026 00:00:01 +0000' });
+
+test('upgrades with a bad token or a foreign origin are refused', async () => {
+  const refused = async (options) => {
+    const ws = new WebSocket(url, options);
+    return new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+  };
+  assert.equal(await refused({ headers: { Authorization: 'Bearer nope' } }), 401);
+  assert.equal(await refused({ headers: { Origin: 'http://evil.test' } }), 403);
+});
+
+test('clients without a header token authenticate by message', async () => {
+  const ws = connect();
+  assert.equal((await ws.next()).type, 'auth-required');
+  assert.equal((await ws.request({ type: 'subscribe', pair: 'USD/EUR' })).code, 'NOT_AUTHENTICATED');
+
+  const ready = await ws.request({ type: 'auth', token: createSession('desk@example.com').token });
+  assert.equal(ready.type, 'ready');
+  assert.equal(ready.username, 'desk@example.com');
+  assert.equal((await ws.request({ type: 'auth', token: 'again' })).code, 'ALREADY_AUTHENTICATED');
+  ws.close();
+  await ws.closed;
+});
+
+test('an invalid auth message closes the socket as unauthorized', async () => {
+  const ws = connect();
+  await ws.next();
+  assert.equal((await ws.request({ type: 'auth', token: 'forged' })).code, 'UNAUTHORIZED');
+  assert.equal(await ws.closed, 4401);
+});
+
+test('subscribers get the latest rate, then a tick for each refresh of their pairs', async () => {
+  publishRates('GBP', payload({ EUR: 1.15, USD: 1.27 }));
+  const ws = connect({ headers: { Authorization: `Bearer ${createSession('desk@example.com').token}` } });
+  assert.equal((await ws.next()).type, 'ready');
+
+  const subscribed = await ws.request({ type: 'subscribe', pairs: ['gbp/eur'], ref: 1 });
+  assert.deepEqual(subscribed, { type: 'subscribed', pairs: ['GBP/EUR'], ref: 1 });
+  const initial = await ws.next();
+  assert.equal(initial.type, 'tick');
+  assert.equal(initial.rate, 1.15);
+
+  publishRates('USD', payload({ EUR: 0.9 }));
+  publishRates('GBP', payload({ EUR: 1.16, USD: 1.28 }));
+  const tick = await ws.next();
+  assert.equal(tick.pair, 'GBP/EUR');
+  assert.equal(tick.rate, 1.16);
+
+  assert.equal((await ws.request({ type: 'subscribe', pair: 'GBP/GBP' })).code, 'INVALID_PAIR');
+  assert.equal((await ws.request({ type: 'nope' })).code, 'UNKNOWN_TYPE');
+  ws.send('{not json');
+  assert.equal((await ws.next()).code, 'BAD_JSON');
+
+  assert.deepEqual(await ws.request({ type: 'unsubscribe', pair: 'GBP/EUR' }), { type: 'unsubscribed', pairs: [] });
+  publishRates('GBP', payload({ EUR: 1.17 }));
+  assert.deepEqual(await ws.request({ type: 'ping', ref: 'p' }), { type: 'pong', ref: 'p' });
+  ws.close();
+  await ws.closed;
+});
+
+test('threshold alerts fire once when the rate crosses them', async () => {
+  const ws = connect({ headers: { Authorization: `Bearer ${createSession('desk@example.com').token}` } });
+  await ws.next();
+
+  const set = await ws.request({ type: 'set-alert', pair: 'CHF/USD', condition: 'above', threshold: 1.2 });
+  assert.equal(set.type, 'alert-set');
+  assert.equal((await ws.request({ type: 'set-alert', pair: 'CHF/USD', condition: 'near', threshold: 1 })).code, 'INVALID_ALERT');
+
+  publishRates('CHF', payload({ USD: 1.1 }));
+  publishRates('CHF', payload({ USD: 1.25 }));
+  const alert = await ws.next();
+  assert.equal(alert.type, 'alert');
+  assert.equal(alert.alertId, set.alertId);
+  assert.equal(alert.rate, 1.25);
+
+  // Fired alerts are gone: a later crossing sends nothing and the id is unknown
+  publishRates('CHF', payload({ USD: 1.3 }));
+  assert.equal((await ws.request({ type: 'clear-alert', alertId: set.alertId })).code, 'UNKNOWN_ALERT');
+  ws.close();
+  await ws.closed;
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+delete process.env.EXCHANGE_RATE_API_KEY;
+
+const { openRateStream } = require('../utils/rateStream');
+const { rateEvents, publishRates } = require('../utils/rateEvents');
+
+// Just enough of an Express response to hold a stream open
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.headers = {};
+    this.chunks = [];
+  }
+
+  status(code) { this.statusCode = code; return this; }
+
+  setHeader(name, value) { this.headers[name] = value; }
+
+  flushHeaders() {}
+
+  write(chunk) { this.chunks.push(chunk); }
+
+  end() { this.ended = true; this.emit('close'); }
+
+  // Parsed `rates` events written so far
+  events() {
+    return this.chunks.filter(c => c.startsWith('id: ')).map((frame) => {
+      const [idLine, , dataLine] = frame.trim().split('\n');
+      return { id: Number(idLine.slice(4)), ...JSON.parse(dataLine.slice(6)) };
+    });
+  }
+}
+
+function open(query, headers = {}, context = {}) {
+  const res = new FakeResponse();
+  const result = openRateStream({ query, headers }, res, context);
+  return { res, result };
+}
+
+const payload = rates => ({ conversion_rates: rates, time_last_update_utc: 'Fri, 16 Oct 2026 00:00:01 +0000' });
+
+test('invalid stream queries are answered with 400 and no stream', () => {
+  const { res, result } = open({ base: 'USD', symbols: 'EUR,XYZ' });
+  assert.equal(result.status, 400);
+  assert.equal(res.chunks.length, 0);
+  assert.equal(open({ base: 'USD', lastEventId: '-1' }).result.status, 400);
+});
+
+test('a stream starts from the latest rates, then pushes refreshes for its base', () => {
+  publishRates('USD', payload({ EUR: 0.9, JPY: 150, GBP: 0.8 }));
+  const { res, result } = open({ base: 'usd', symbols: 'EUR,JPY' });
+  assert.equal(result, undefined);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream; charset=utf-8');
+  assert.deepEqual(res.events().map(e => e.rates), [{ EUR: 0.9, JPY: 150 }]);
+
+  publishRates('EUR', payload({ USD: 1.1 }));
+  publishRates('USD', payload({ EUR: 0.91, JPY: 151 }));
+  assert.deepEqual(res.events().map(e => e.rates.EUR), [0.9, 0.91]);
+
+  const listeners = rateEvents.listenerCount('rates');
+  res.emit('close');
+  assert.equal(rateEvents.listenerCount('rates'), listeners - 1);
+});
+
+test('Last-Event-ID resumes with the events the client missed', () => {
+  const first = publishRates('JPY', payload({ USD: 0.0067 }));
+  publishRates('JPY', payload({ USD: 0.0068 }));
+  publishRates('JPY', payload({ USD: 0.0069 }));
+
+  const { res } = open({ base: 'JPY' }, { 'last-event-id': String(first.id) });
+  assert.deepEqual(res.events().map(e => e.rates.USD), [0.0068, 0.0069]);
+  res.end();
+
+  // Unknown ids (e.g. from before a restart) fall back to the latest event
+  const unknown = open({ base: 'JPY', lastEventId: '999999999' });
+  assert.deepEqual(unknown.res.events().map(e => e.rates.USD), [0.0069]);
+  unknown.res.end();
+});
+
+test('the stream ends with session-expired when the session does', async () => {
+  const { res } = open({ base: 'USD' }, {}, { sessionExpiresAt: Date.now() });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(res.ended, true);
+  assert.match(res.chunks[res.chunks.length - 1], /^event: session-expired\n/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { negotiateFormat, formatResult } = require('../utils/responseFormats');
+const { parseCsv } = require('../utils/csv');
+
+const multiTarget = {
+  status: 200,
+  body: {
+    success: true,
+    from: 'USD',
+    targets: ['EUR', 'PHP'],
+    results: [
+      { to: 'EUR', rate: 0.9, available: true },
+      { to: 'PHP', rate: 58, available: true, derived: true, path: ['PHP', 'USD', 'KRW'] }
+    ],
+    source: 'cache'
+  }
+};
+
+test('format= wins over Accept and is removed from the query', () => {
+  const negotiated = negotiateFormat({ query: { from: 'USD', format: 'CSV' }, headers: { accept: 'application/xml' } });
+  assert.deepEqual(negotiated, { ok: true, format: 'csv', query: { from: 'USD' } });
+  assert.equal(negotiateFormat({ query: { format: 'yaml' }, headers: {} }).result.status, 406);
+});
+
+test('Accept is matched by quality, with JSON as the default', () => {
+  const accept = header => negotiateFormat({ query: {}, headers: { accept: header } });
+  assert.equal(accept(undefined).format, 'json');
+  assert.equal(accept('text/xml;q=0.5, application/x-ndjson').format, 'ndjson');
+  assert.equal(accept('text/html, text/csv;q=0.2').format, 'csv');
+  assert.equal(accept('*/*').format, 'json');
+  assert.equal(accept('text/csv;q=0, image/png').result.body.code, 'NOT_ACCEPTABLE');
+});
+
+test('JSON results pass through with Vary: Accept', () => {
+  const result = formatResult({ status: 200, headers: { 'Retry-After': '5' }, body: { success: true } }, 'abc', 'json');
+  assert.deepEqual(result, { status: 200, headers: { 'Retry-After': '5', Vary: 'Accept' }, body: { success: true } });
+});
+
+test('CSV turns each record into a row with the top-level scalars', () => {
+  const { status, headers, text } = formatResult(multiTarget, 'abc', 'csv');
+  assert.equal(status, 200);
+  assert.equal(headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.equal(text.split(/\r?\n/)[0], 'success,from,source,correlationId,to,rate,available,derived,path');
+  const { rows } = parseCsv(text);
+  assert.deepEqual(rows.map(r => [r.to, r.rate, r.correlationid]), [['EUR', '0.9', 'abc'], ['PHP', '58', 'abc']]);
+  assert.equal(rows[1].path, 'PHP USD KRW');
+});
+
+test('single objects become one row with dotted columns', () => {
+  const { text } = formatResult({ status: 200, body: { base: 'USD', rates: { EUR: 0.9, JPY: 150 } } }, 'abc', 'csv');
+  assert.equal(text.split(/\r?\n/)[0], 'base,rates.EUR,rates.JPY,correlationId');
+  assert.equal(parseCsv(text).rows.length, 1);
+});
+
+test('NDJSON writes one JSON record per line', () => {
+  const { headers, text } = formatResult(multiTarget, 'abc', 'ndjson');
+  assert.equal(headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+  const lines = text.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 2);
+  assert.deepEqual(lines[1].path, ['PHP', 'USD', 'KRW']);
+  assert.equal(lines[0].from, 'USD');
+});
+
+test('XML keeps the document structure and escapes text', () => {
+  const { status, text } = formatResult({ status: 400, body: { success: false, error: 'Use <from> & "to"', '1st': [1, 2] } }, 'abc', 'xml');
+  assert.equal(status, 400);
+  assert.equal(text, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<response>',
+    '  <success>false</success>',
+    '  <error>Use &lt;from&gt; &amp; &quot;to&quot;</error>',
+    '  <_1st>',
+    '    <item>1</item>',
+    '    <item>2</item>',
+    '  </_1st>',
+    '  <correlationId>abc</correlationId>',
+    '</response>',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PIVOTS, resolveRate, rebaseTable, derivationFields } = require('../utils/triangulation');
+const { getFallbackRate } = require('../utils/fallbackRates');
+
+const tablesFrom = tables => base => tables[base] || null;
+
+test('pivots default to USD then EUR', () => {
+  assert.deepEqual(PIVOTS, ['USD', 'EUR']);
+});
+
+test('direct quotes are not derived', () => {
+  const resolved = resolveRate('USD', 'PHP', tablesFrom({ USD: { PHP: 58 } }));
+  assert.deepEqual(resolved, { rate: 58, derived: false });
+  assert.deepEqual(resolveRate('PHP', 'PHP', tablesFrom({})), { rate: 1, derived: false });
+});
+
+test('the target table quoted in reverse gives its reciprocal before any pivot', () => {
+  const resolved = resolveRate('PHP', 'USD', tablesFrom({ USD: { PHP: 58 }, EUR: { PHP: 63.5, USD: 1.1 } }));
+  assert.deepEqual(resolved, { rate: Number((1 / 58).toPrecision(12)), derived: false });
+});
+
+test('the pivot table quoting both legs gives (P→B) / (P→A)', () => {
+  const resolved = resolveRate('PHP', 'KRW', tablesFrom({ USD: { PHP: 58, KRW: 1380 } }));
+  assert.equal(resolved.rate, Number((1380 / 58).toPrecision(12)));
+  assert.deepEqual(resolved.path, ['PHP', 'USD', 'KRW']);
+  assert.equal(resolved.derived, true);
+});
+
+test('A→P × P→B is used when only the source quotes the pivot', () => {
+  const resolved = resolveRate('PHP', 'KRW', tablesFrom({ PHP: { USD: 0.017 }, USD: { KRW: 1380 } }));
+  assert.equal(resolved.rate, Number((0.017 * 1380).toPrecision(12)));
+});
+
+test('A→P / B→P is used when both sides quote the pivot', () => {
+  const resolved = resolveRate('PHP', 'KRW', tablesFrom({ PHP: { USD: 0.017 }, KRW: { USD: 0.000725 } }));
+  assert.equal(resolved.rate, Number((0.017 / 0.000725).toPrecision(12)));
+});
+
+test('the next pivot is tried when the first cannot connect the pair', () => {
+  const resolved = resolveRate('PHP', 'KRW', tablesFrom({ EUR: { PHP: 63.5, KRW: 1500 } }));
+  assert.deepEqual(resolved.path, ['PHP', 'EUR', 'KRW']);
+});
+
+test('unconnected pairs resolve to null; zero or missing quotes are ignored', () => {
+  assert.equal(resolveRate('PHP', 'KRW', tablesFrom({ USD: { PHP: 58 } })), null);
+  assert.equal(resolveRate('PHP', 'KRW', tablesFrom({ USD: { PHP: 0, KRW: 1380 } })), null);
+});
+
+test('derivationFields marks derived rates only', () => {
+  assert.deepEqual(derivationFields({ rate: 1, derived: false }), {});
+  assert.deepEqual(derivationFields({ rate: 2, derived: true, path: ['A', 'B', 'C'] }), { derived: true, path: ['A', 'B', 'C'] });
+  assert.deepEqual(derivationFields(null), {});
+});
+
+test('rebaseTable re-expresses a table against another quoted currency', () => {
+  const rebased = rebaseTable({ USD: 1, JPY: 150, EUR: 0.9 }, 'JPY');
+  assert.equal(rebased.JPY, 1);
+  assert.equal(rebased.USD, Number((1 / 150).toPrecision(12)));
+  assert.equal(rebased.EUR, Number((0.9 / 150).toPrecision(12)));
+  assert.equal(rebaseTable({ USD: 1 }, 'JPY'), null);
+});
+
+test('fallback table uses reciprocals and pivots but never invents a rate', () => {
+  assert.equal(getFallbackRate('USD', 'EUR').rate, 0.85);
+  assert.equal(getFallbackRate('BRL', 'USD').rate, Number((1 / 5.2).toPrecision(12)));
+  assert.deepEqual(getFallbackRate('PHP', 'KRW').path, ['PHP', 'USD', 'KRW']);
+  assert.equal(getFallbackRate('KWD', 'BHD'), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// No provider: every rate comes from the static fallback table
+process.env.RATE_PROVIDERS = 'exchangerate-api';
+process.env.RATE_CACHE_STORE = 'memory';
+delete process.env.EXCHANGE_RATE_API_KEY;
+
+const { valuePortfolio } = require('../utils/valuation');
+
+test('holdings are valued in the reporting currency with totals and shares', async () => {
+  const { status, body } = await valuePortfolio({
+    reportingCurrency: 'eur',
+    holdings: [
+      { currency: 'USD', amount: '100' },
+      { currency: 'EUR', amount: '50' },
+      { currency: 'USD', amount: '0.01' }
+    ]
+  });
+  assert.equal(status, 200);
+  assert.equal(body.reportingCurrency, 'EUR');
+  assert.deepEqual(body.holdings.map(h => h.value), [85, 50, 0.01]);
+  assert.equal(body.totalDecimal, '135.01');
+  assert.deepEqual(body.holdings.map(h => h.share), [62.96, 37.03, 0.01]);
+  assert.equal(body.holdings[0].source, 'fallback');
+  assert.equal(body.complete, true);
+});
+
+test('holdings without a trustworthy rate are reported, not invented', async () => {
+  const { body } = await valuePortfolio({
+    reportingCurrency: 'USD',
+    holdings: [{ currency: 'EUR', amount: '10' }, { currency: 'KWD', amount: '5' }]
+  });
+  const [eur, kwd] = body.holdings;
+  assert.equal(eur.available, true);
+  assert.deepEqual(
+    { available: kwd.available, value: kwd.value, code: kwd.code, share: kwd.share },
+    { available: false, value: null, code: 'RATE_UNAVAILABLE', share: null }
+  );
+  assert.equal(body.complete, false);
+  assert.equal(body.total, eur.value);
+  assert.equal(eur.share, 100);
+});
+
+test('the rounding mode applies to every line', async () => {
+  const { body } = await valuePortfolio({ reportingCurrency: 'JPY', holdings: [{ currency: 'USD', amount: '0.015' }], rounding: 'up' });
+  // 0.015 USD x 110 = 1.65 JPY, rounded up to whole yen
+  assert.equal(body.holdings[0].value, 2);
+  assert.equal(body.rounding, 'up');
+});
+
+test('invalid valuations are rejected as a whole', async () => {
+  const cases = [
+    [{ holdings: [] }, /reportingCurrency/],
+    [{ reportingCurrency: 'EUR', holdings: [{ currency: 'USD' }] }, /Holding 0 must be an object/],
+    [{ reportingCurrency: 'EUR', holdings: [{ currency: 'XYZ', amount: '1' }] }, /Holding 0: Currency not supported/],
+    [{ reportingCurrency: 'EUR,USD', holdings: [{ currency: 'GBP', amount: '1' }] }, /single currency/],
+    [{ reportingCurrency: 'EUR', holdings: [{ currency: 'USD', amount: '1' }], extra: true }, /Unexpected field/]
+  ];
+  for (const [payload, error] of cases) {
+    const { status, body } = await valuePortfolio(payload);
+    assert.equal(status, 400);
+    assert.match(body.error, error);
+  }
+});
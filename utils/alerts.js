@@ -0,0 +1,477 @@
+/**
+ * Rate Alerts with Webhook Delivery
+ *
+ * Users register alerts such as "USD→PHP above 58.5" with a webhook URL. Alerts
+ * are evaluated whenever the rates for their base refresh (see rateEvents); a
+ * triggered alert POSTs a JSON payload signed with the alert's secret using
+ * hmacAuth.generateSignature, retrying with exponential backoff. Every attempt
+ * is kept in a per-alert delivery log.
+ *
+ * One-shot alerts deactivate after triggering. Recurring alerts re-arm once the
+ * rate is back on the other side of the threshold, so they fire once per crossing
+ * rather than on every refresh.
+ *
+ * Webhook hosts are resolved at delivery time and every address is checked, and
+ * the request connects to the checked address, so a public name that resolves
+ * (or re-resolves) to a private network cannot be used to reach internal services.
+ *
+ * Note: alerts live in process memory (Express server only), so they do not
+ * survive restarts.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const { logSiemEvent } = require('./siem');
+const { generateSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('./hmacAuth');
+const { sanitizeUrl, decodeSanitizedString } = require('./sanitization');
+const { ALLOWED_CURRENCIES } = require('./conversionValidation');
+const { rateEvents } = require('./rateEvents');
+const { watchBase } = require('./rateWatch');
+const { fetchWithTimeout } = require('./providers/upstream');
+
+// Alerts one user may hold
+const MAX_ALERTS_PER_USER = Math.max(1, Number(process.env.ALERTS_MAX_PER_USER || 50));
+
+// Delivery attempts per trigger, and the delay before the first retry (doubled each time)
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS || 5));
+const BACKOFF_MS = Math.max(100, Number(process.env.ALERT_WEBHOOK_BACKOFF_MS || 2000));
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Per-attempt timeout for the webhook request
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Delivery log entries kept per alert (newest last)
+const DELIVERY_LOG_SIZE = Math.max(1, Number(process.env.ALERT_DELIVERY_LOG_SIZE || 50));
+
+// Webhooks to loopback and private networks are refused unless explicitly allowed (e.g. for local testing)
+const ALLOW_PRIVATE_WEBHOOKS = String(process.env.ALERT_WEBHOOK_ALLOW_PRIVATE || 'false').toLowerCase() === 'true';
+
+const COMPARISONS = new Set(['above', 'below']);
+const MODES = new Set(['once', 'recurring']);
+const UPDATABLE_FIELDS = new Set(['comparison', 'threshold', 'mode', 'webhookUrl', 'active']);
+const CREATE_FIELDS = new Set(['from', 'to', 'comparison', 'threshold', 'mode', 'webhookUrl']);
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// alert id -> alert (including its webhook secret)
+const alerts = new Map();
+// alert id -> delivery log entries
+const deliveries = new Map();
+// alert id -> stop watching the alert's base
+const watches = new Map();
+
+function invalid(error) {
+  return { status: 400, body: { success: false, error } };
+}
+
+function alertNotFound(id) {
+  return { status: 404, body: { success: false, code: 'ALERT_NOT_FOUND', error: `Alert ${String(id).slice(0, 64)} was not found.` } };
+}
+
+// Look up an alert owned by the user; other users' alerts are reported as not found
+function findAlert(id, username) {
+  if (!UUID_REGEX.test(String(id))) return null;
+  const alert = alerts.get(String(id));
+  return alert && alert.username === username ? alert : null;
+}
+
+// Public view of a stored alert; the secret is only shown once, on creation
+function toView(alert) {
+  const { secret, username, armed, ...view } = alert;
+  return { ...view, pair: `${alert.from}/${alert.to}` };
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127)
+      || a >= 224;
+  }
+  if (net.isIPv6(host)) {
+    // "::" prefixes cover unspecified, loopback and IPv4-mapped/compatible addresses;
+    // NAT64 (64:ff9b::) embeds an IPv4 address too
+    return host.startsWith('::') || host.startsWith('64:ff9b:')
+      || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || /^ff/.test(host);
+  }
+  return false;
+}
+
+/**
+ * Resolve a webhook host and refuse it when any address is loopback, link-local
+ * or private (unless ALERT_WEBHOOK_ALLOW_PRIVATE)
+ *
+ * @param {string} hostname - URL hostname (IPv6 literals in brackets)
+ * @returns {Promise<Object>} { address, family } to connect to
+ * @throws {Error} When the host does not resolve or resolves to a refused address
+ */
+async function resolveWebhookAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.length === 0) throw new Error(`Webhook host ${host} did not resolve`);
+  const refused = addresses.find(({ address }) => isPrivateHost(address));
+  if (refused && !ALLOW_PRIVATE_WEBHOOKS) {
+    throw new Error(`Webhook host ${host} resolves to a local or private network address (${refused.address})`);
+  }
+  return addresses[0];
+}
+
+// Agent whose connections go to the checked address instead of resolving the host again
+function pinnedAgent(protocol, { address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (options && options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+  return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+// The sanitization middleware HTML-encodes body strings ("/" -> "&#x2F;"), so decode before parsing
+function validateWebhookUrl(value) {
+  const checked = sanitizeUrl(decodeSanitizedString(typeof value === 'string' ? value : ''));
+  if (!checked.valid) return { ok: false, error: `"webhookUrl" is not an allowed URL: ${checked.error}.` };
+  if (!ALLOW_PRIVATE_WEBHOOKS && isPrivateHost(new URL(checked.sanitized).hostname)) {
+    return { ok: false, error: '"webhookUrl" must not point to a local or private network address.' };
+  }
+  return { ok: true, url: checked.sanitized };
+}
+
+// Validate the fields present in `input`; returns { ok, fields } or { ok: false, error }
+function validateFields(input) {
+  const fields = {};
+  if (input.comparison !== undefined) {
+    if (!COMPARISONS.has(input.comparison)) return { ok: false, error: '"comparison" must be "above" or "below".' };
+    fields.comparison = input.comparison;
+  }
+  if (input.threshold !== undefined) {
+    const threshold = typeof input.threshold === 'string' && input.threshold.trim() ? Number(input.threshold) : input.threshold;
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold <= 0) {
+      return { ok: false, error: '"threshold" must be a positive number.' };
+    }
+    fields.threshold = threshold;
+  }
+  if (input.mode !== undefined) {
+    if (!MODES.has(input.mode)) return { ok: false, error: '"mode" must be "once" or "recurring".' };
+    fields.mode = input.mode;
+  }
+  if (input.webhookUrl !== undefined) {
+    const webhook = validateWebhookUrl(input.webhookUrl);
+    if (!webhook.ok) return webhook;
+    fields.webhookUrl = webhook.url;
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') return { ok: false, error: '"active" must be true or false.' };
+    fields.active = input.active;
+  }
+  return { ok: true, fields };
+}
+
+// Watch the base while the alert is active so it is evaluated without conversions
+function syncWatch(alert) {
+  const watching = watches.has(alert.id);
+  if (alert.active && !watching) {
+    watches.set(alert.id, watchBase(alert.from));
+  } else if (!alert.active && watching) {
+    watches.get(alert.id)();
+    watches.delete(alert.id);
+  }
+}
+
+function recordDelivery(alertId, entry) {
+  if (!deliveries.has(alertId)) deliveries.set(alertId, []);
+  const log = deliveries.get(alertId);
+  log.push(entry);
+  if (log.length > DELIVERY_LOG_SIZE) log.shift();
+}
+
+/**
+ * POST a signed payload to the alert's webhook, retrying with backoff
+ *
+ * @param {Object} alert - Stored alert
+ * @param {Object} payload - Webhook payload
+ * @param {number} [attempt=1] - Attempt number
+ * @returns {Promise<void>}
+ */
+async function deliver(alert, payload, attempt = 1) {
+  // Deleted while a retry was pending
+  if (!alerts.has(alert.id)) return;
+  const body = JSON.stringify(payload);
+  const timestamp = new Date().toISOString();
+  // Sign the query string too, so it cannot be changed without invalidating the signature
+  const { protocol, hostname, pathname, search } = new URL(alert.webhookUrl);
+  const signature = generateSignature('POST', pathname + search, timestamp, payload, alert.secret);
+  const started = Date.now();
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const agent = pinnedAgent(protocol, await resolveWebhookAddress(hostname));
+    const response = await fetchWithTimeout(alert.webhookUrl, WEBHOOK_TIMEOUT_MS, {
+      agent,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'currency-converter-alerts/1.0',
+        [SIGNATURE_HEADER]: signature,
+        [TIMESTAMP_HEADER]: timestamp,
+        'X-Alert-Id': alert.id,
+        'X-Delivery-Id': payload.deliveryId
+      },
+      body,
+      // Redirects could point the request at an address that was never validated
+      redirect: 'manual'
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `Webhook responded with HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'AbortError' ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const retry = error !== null && attempt < MAX_ATTEMPTS;
+  const entry = {
+    deliveryId: payload.deliveryId,
+    attempt,
+    status: error === null ? 'delivered' : (retry ? 'retrying' : 'failed'),
+    responseStatus,
+    error,
+    durationMs: Date.now() - started,
+    attemptedAt: new Date(started).toISOString()
+  };
+  recordDelivery(alert.id, entry);
+
+  if (retry) {
+    const delay = Math.min(BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => deliver(alert, payload, attempt + 1), delay).unref();
+  } else if (error !== null) {
+    logger.warn('Alert webhook delivery failed', { alertId: alert.id, deliveryId: payload.deliveryId, attempts: attempt, error });
+    logSiemEvent('ALERT_DELIVERY_FAILED', {
+      alertId: alert.id,
+      deliveryId: payload.deliveryId,
+      username: alert.username,
+      attempts: attempt,
+      error
+    }, null, payload.deliveryId);
+  }
+}
+
+/**
+ * Evaluate active alerts for a refreshed base and trigger the ones that crossed
+ *
+ * @param {Object} event - rateEvents `rates` event { id, base, rates, lastUpdated }
+ */
+function evaluateAlerts(event) {
+  alerts.forEach((alert) => {
+    const rate = event.rates?.[alert.to];
+    if (!alert.active || alert.from !== event.base || typeof rate !== 'number') return;
+
+    const holds = alert.comparison === 'above' ? rate > alert.threshold : rate < alert.threshold;
+    if (!holds) {
+      alert.armed = true;
+      return;
+    }
+    if (!alert.armed) return;
+
+    const now = new Date().toISOString();
+    alert.armed = false;
+    alert.triggerCount += 1;
+    alert.lastTriggeredAt = now;
+    alert.lastRate = rate;
+    if (alert.mode === 'once') {
+      alert.active = false;
+      syncWatch(alert);
+    }
+
+    deliver(alert, {
+      event: 'rate.alert',
+      deliveryId: uuidv4(),
+      alertId: alert.id,
+      pair: `${alert.from}/${alert.to}`,
+      from: alert.from,
+      to: alert.to,
+      comparison: alert.comparison,
+      threshold: alert.threshold,
+      rate,
+      mode: alert.mode,
+      lastUpdated: event.lastUpdated,
+      triggeredAt: now
+    });
+  });
+}
+
+rateEvents.on('rates', evaluateAlerts);
+
+/**
+ * Create an alert for the user
+ *
+ * @param {Object} params - { from, to, comparison, threshold, mode?, webhookUrl }
+ * @param {Object} context - { req, correlationId, client } (client is the owner)
+ * @returns {Object} { status, headers?, body } (body includes the webhook secret once)
+ */
+function createAlert(params, { req = null, correlationId = null, client } = {}) {
+  const input = params && typeof params === 'object' && !Array.isArray(params) ? params : {};
+  const fail = (error) => {
+    logSiemEvent('VALIDATION_FAILED', { reason: 'Invalid rate alert', error, path: '/api/alerts' }, req, correlationId);
+    return invalid(error);
+  };
+
+  const unexpected = Object.keys(input).find(k => !CREATE_FIELDS.has(k));
+  if (unexpected) return fail(`Unexpected field '${unexpected}'.`);
+  const missing = ['from', 'to', 'comparison', 'threshold', 'webhookUrl'].find(k => input[k] === undefined);
+  if (missing) return fail(`Missing required field "${missing}".`);
+
+  const from = String(input.from).toUpperCase();
+  const to = String(input.to).toUpperCase();
+  if (!ALLOWED_CURRENCIES.has(from) || !ALLOWED_CURRENCIES.has(to) || from === to) {
+    return fail('"from" and "to" must be two different supported ISO 4217 currency codes.');
+  }
+  const validation = validateFields(input);
+  if (!validation.ok) return fail(validation.error);
+
+  const owned = [...alerts.values()].filter(alert => alert.username === client).length;
+  if (owned >= MAX_ALERTS_PER_USER) {
+    return { status: 409, body: { success: false, code: 'ALERT_LIMIT_REACHED', error: `At most ${MAX_ALERTS_PER_USER} alerts per user.` } };
+  }
+
+  const alert = {
+    id: uuidv4(),
+    username: client,
+    from,
+    to,
+    mode: 'once',
+    ...validation.fields,
+    active: true,
+    armed: true,
+    triggerCount: 0,
+    lastTriggeredAt: null,
+    lastRate: null,
+    createdAt: new Date().toISOString(),
+    secret: crypto.randomBytes(32).toString('hex')
+  };
+  alerts.set(alert.id, alert);
+  syncWatch(alert);
+
+  logSiemEvent('ALERT_CREATED', {
+    alertId: alert.id,
+    username: client,
+    pair: `${from}/${to}`,
+    comparison: alert.comparison,
+    threshold: alert.threshold,
+    webhookHost: new URL(alert.webhookUrl).host
+  }, req, correlationId);
+
+  return {
+    status: 201,
+    headers: { Location: `/api/alerts/${alert.id}` },
+    body: { success: true, alert: toView(alert), webhookSecret: alert.secret }
+  };
+}
+
+/**
+ * List the user's alerts
+ *
+ * @param {Object} context - { client }
+ * @returns {Object} { status, body }
+ */
+function listAlerts({ client } = {}) {
+  const owned = [...alerts.values()].filter(alert => alert.username === client).map(toView);
+  return { status: 200, body: { success: true, count: owned.length, alerts: owned } };
+}
+
+/**
+ * Get an alert owned by the user
+ *
+ * @param {string} id - Alert id
+ * @param {Object} context - { client }
+ * @returns {Object} { status, body }
+ */
+function getAlert(id, { client } = {}) {
+  const alert = findAlert(id, client);
+  if (!alert) return alertNotFound(id);
+  return { status: 200, body: { success: true, alert: toView(alert) } };
+}
+
+/**
+ * Update comparison, threshold, mode, webhookUrl or active. Changing the
+ * condition or reactivating re-arms the alert.
+ *
+ * @param {string} id - Alert id
+ * @param {Object} params - Fields to change
+ * @param {Object} context - { req, correlationId, client }
+ * @returns {Object} { status, body }
+ */
+function updateAlert(id, params, { req = null, correlationId = null, client } = {}) {
+  const alert = findAlert(id, client);
+  if (!alert) return alertNotFound(id);
+
+  const input = params && typeof params === 'object' && !Array.isArray(params) ? params : {};
+  const fail = (error) => {
+    logSiemEvent('VALIDATION_FAILED', { reason: 'Invalid rate alert update', error, path: `/api/alerts/${alert.id}` }, req, correlationId);
+    return invalid(error);
+  };
+  const unexpected = Object.keys(input).find(k => !UPDATABLE_FIELDS.has(k));
+  if (unexpected) return fail(`Field '${unexpected}' cannot be changed; create a new alert instead.`);
+  if (Object.keys(input).length === 0) return fail(`Provide at least one of: ${[...UPDATABLE_FIELDS].join(', ')}.`);
+  const validation = validateFields(input);
+  if (!validation.ok) return fail(validation.error);
+
+  const { fields } = validation;
+  Object.assign(alert, fields);
+  if (fields.comparison !== undefined || fields.threshold !== undefined || fields.active === true) alert.armed = true;
+  alert.updatedAt = new Date().toISOString();
+  syncWatch(alert);
+
+  return { status: 200, body: { success: true, alert: toView(alert) } };
+}
+
+/**
+ * Delete an alert; pending retries for it are dropped
+ *
+ * @param {string} id - Alert id
+ * @param {Object} context - { client }
+ * @returns {Object} { status, body }
+ */
+function deleteAlert(id, { client } = {}) {
+  const alert = findAlert(id, client);
+  if (!alert) return alertNotFound(id);
+  alert.active = false;
+  syncWatch(alert);
+  alerts.delete(alert.id);
+  deliveries.delete(alert.id);
+  return { status: 200, body: { success: true, deleted: alert.id } };
+}
+
+/**
+ * Webhook delivery log for an alert (oldest first)
+ *
+ * @param {string} id - Alert id
+ * @param {Object} context - { client }
+ * @returns {Object} { status, body }
+ */
+function getAlertDeliveries(id, { client } = {}) {
+  const alert = findAlert(id, client);
+  if (!alert) return alertNotFound(id);
+  const log = deliveries.get(alert.id) || [];
+  return { status: 200, body: { success: true, alertId: alert.id, count: log.length, deliveries: log } };
+}
+
+module.exports = {
+  MAX_ALERTS_PER_USER,
+  evaluateAlerts,
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  deleteAlert,
+  getAlertDeliveries,
+  // expose internals for tests
+  _internal: { isPrivateHost, resolveWebhookAddress, pinnedAgent }
+};
@@ -0,0 +1,134 @@
+/**
+ * Login and Logout
+ *
+ * Supabase password login shared by the Express server and the Vercel
+ * functions, so both issue the same session tokens (see sessions.js) and log
+ * the same SIEM events. Handlers return `{ status, body }` without correlationId.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { logError } = require('./logger');
+const { logSiemEvent } = require('./siem');
+const { createSession, revokeSession } = require('./sessions');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+const supabase = SUPABASE_URL && SUPABASE_ANON_KEY ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
+
+// Supabase user identifiers prefer email for auditability; fall back to id when email is absent.
+function resolveUserIdentifier(user, fallback) {
+  if (user && (user.email || user.id)) return user.email || user.id;
+  return fallback || null;
+}
+
+/**
+ * SIEM-logged 500 result when Supabase is not configured
+ *
+ * @param {Object} req - Incoming request
+ * @param {string} correlationId - Correlation ID
+ * @param {string} action - login | signup
+ * @returns {Object|null} { status, body } or null when Supabase is available
+ */
+function supabaseUnavailable(req, correlationId, action) {
+  if (supabase) return null;
+  logSiemEvent('AUTH_FAILED', {
+    reason: 'Supabase not configured',
+    path: req?.path,
+    action
+  }, req, correlationId);
+  return { status: 500, body: { success: false, error: 'Authentication service unavailable.' } };
+}
+
+/**
+ * Log in with a Supabase email/password and issue a session token
+ *
+ * @param {Object} credentials - { username, password }
+ * @param {Object} context - { req, correlationId }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function login({ username, password } = {}, { req = null, correlationId = null } = {}) {
+  if (!username || !password) {
+    logSiemEvent('AUTH_FAILED', {
+      reason: 'Missing credentials',
+      path: req?.path
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: 'Username and password are required.' } };
+  }
+
+  const unavailable = supabaseUnavailable(req, correlationId, 'login');
+  if (unavailable) return unavailable;
+
+  try {
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email: String(username),
+      password: String(password)
+    });
+
+    if (error || !data?.user) {
+      logSiemEvent('AUTH_FAILED', {
+        reason: 'Invalid credentials (Supabase)',
+        username: String(username).slice(0, 64),
+        supabaseError: error?.message
+      }, req, correlationId);
+      return { status: 401, body: { success: false, error: 'Invalid username or password.' } };
+    }
+
+    const identifier = resolveUserIdentifier(data.user, null);
+    if (!identifier) {
+      logSiemEvent('AUTH_FAILED', {
+        reason: 'Supabase user identifier missing',
+        username: String(username).slice(0, 64)
+      }, req, correlationId);
+      return { status: 500, body: { success: false, error: 'Authentication failed.' } };
+    }
+
+    const session = createSession(identifier);
+    logSiemEvent('AUTH_SUCCESS', {
+      username: identifier
+    }, req, correlationId);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        token: session.token,
+        username: identifier,
+        expiresAt: session.expiresAt,
+        expiresInSeconds: Math.floor((session.expiresAt - Date.now()) / 1000)
+      }
+    };
+  } catch (err) {
+    logError(err, { message: 'Supabase login failed' });
+    logSiemEvent('AUTH_FAILED', {
+      reason: 'Supabase auth error',
+      username: String(username).slice(0, 64),
+      error: err?.message
+    }, req, correlationId);
+    return { status: 500, body: { success: false, error: 'Authentication failed.' } };
+  }
+}
+
+/**
+ * Revoke the caller's session token
+ *
+ * @param {Object} auth - { user, token } from authenticateRequest
+ * @param {Object} context - { req, correlationId }
+ * @returns {Object} { status, body }
+ */
+function logout(auth, { req = null, correlationId = null } = {}) {
+  if (auth?.token) {
+    revokeSession(auth.token);
+  }
+  logSiemEvent('AUTH_LOGOUT', {
+    username: auth?.user?.username
+  }, req, correlationId);
+  return { status: 200, body: { success: true } };
+}
+
+module.exports = {
+  supabase,
+  resolveUserIdentifier,
+  supabaseUnavailable,
+  login,
+  logout
+};
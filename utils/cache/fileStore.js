@@ -0,0 +1,102 @@
+/**
+ * JSON File Cache Store
+ *
+ * One JSON file per key under RATE_CACHE_DIR, written atomically (temp file then
+ * rename), so cached rates survive restarts. Files past their retention are
+ * removed when read.
+ *
+ * Layout: <RATE_CACHE_DIR>/<key>.json (":" in keys becomes "_"; the file keeps the key)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { logger, _internal: { isCloudDeployment } } = require('../logger');
+
+// Cache directory: explicit env var, local ./data when not cloud, temp dir on cloud
+function getCacheDir() {
+  if (process.env.RATE_CACHE_DIR && process.env.RATE_CACHE_DIR.trim() !== '') {
+    return process.env.RATE_CACHE_DIR;
+  }
+  if (!isCloudDeployment) {
+    return path.join(__dirname, '..', '..', 'data', 'rate-cache');
+  }
+  return path.join(os.tmpdir(), 'currency-rate-cache');
+}
+
+const KEY_REGEX = /^[\w:.-]{1,100}$/;
+
+function fileFor(dir, key) {
+  if (!KEY_REGEX.test(key)) throw new Error(`Invalid cache key "${String(key).slice(0, 100)}"`);
+  return path.join(dir, `${key.replace(/:/g, '_')}.json`);
+}
+
+/**
+ * Create a file store
+ *
+ * @param {string} [dir] - Directory (default: RATE_CACHE_DIR or ./data/rate-cache)
+ * @returns {Object} Cache store
+ */
+function createFileStore(dir = getCacheDir()) {
+  let writes = 0;
+
+  // { key, entry } of a file, or null when missing, unreadable or past retention
+  const read = async (file) => {
+    try {
+      const { key, entry, expiresAt } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (expiresAt <= Date.now()) {
+        await fs.promises.unlink(file).catch(() => {});
+        return null;
+      }
+      return { key, entry };
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Rate cache file could not be read', { file, error: err.message });
+      return null;
+    }
+  };
+
+  return {
+    name: 'file',
+    dir,
+
+    async get(key) {
+      const item = await read(fileFor(dir, key));
+      return item ? item.entry : null;
+    },
+
+    async set(key, entry, retainMs) {
+      const file = fileFor(dir, key);
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Write to a temp file then rename so readers never see a partial entry
+      writes += 1;
+      const tmp = `${file}.${process.pid}.${writes}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ key, entry, expiresAt: Date.now() + retainMs }));
+      await fs.promises.rename(tmp, file);
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(fileFor(dir, key)).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    async entries() {
+      let files;
+      try {
+        files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn('Rate cache directory could not be listed', { dir, error: err.message });
+        return [];
+      }
+      const loaded = await Promise.all(files.map(async (f) => {
+        const item = await read(path.join(dir, f));
+        return item ? [item.key, item.entry] : null;
+      }));
+      return loaded.filter(Boolean);
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,94 @@
+/**
+ * Rate Cache Stores
+ *
+ * Persistence behind the conversion service's in-process rate cache. A store
+ * is any object with:
+ *
+ *   name                          Identifier for logs and health output
+ *   get(key)                      Promise of the entry ({ ts, data }) or null
+ *   set(key, entry, retainMs)     Promise; keep the entry at least retainMs
+ *   delete(key)                   Promise
+ *   entries()                     Optional: promise of [[key, entry]] for warm starts
+ *
+ * RATE_CACHE_STORE selects a built-in store: `kv` (Vercel KV / Upstash over
+ * REST, the default whenever their env vars are set), `file` (JSON files, the
+ * default outside cloud deployments) or `memory` (the default on cloud
+ * deployments without KV). Other key-value stores are plugged in with
+ * setCacheStore(createKeyValueStore(client)).
+ */
+
+const { logger, _internal: { isCloudDeployment } } = require('../logger');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createKeyValueStore, createRestKeyValueClient, getKeyValueConfig } = require('./keyValueStore');
+
+// KV store from the environment; without credentials it degrades to memory
+function createConfiguredKeyValueStore() {
+  const config = getKeyValueConfig();
+  if (!config) {
+    logger.warn('RATE_CACHE_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN (or the UPSTASH_REDIS_REST_* pair); using the memory store');
+    return createMemoryStore();
+  }
+  return createKeyValueStore(createRestKeyValueClient(config));
+}
+
+const BUILT_IN = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  kv: createConfiguredKeyValueStore
+};
+
+function defaultStoreName() {
+  if (getKeyValueConfig()) return 'kv';
+  return isCloudDeployment ? 'memory' : 'file';
+}
+
+/**
+ * Create the store selected by RATE_CACHE_STORE (or the environment's default)
+ *
+ * @returns {Object} Cache store
+ */
+function createConfiguredStore() {
+  const requested = String(process.env.RATE_CACHE_STORE || defaultStoreName()).trim().toLowerCase();
+  if (!BUILT_IN[requested]) {
+    logger.warn('Unknown RATE_CACHE_STORE; using the memory store', { requested, known: Object.keys(BUILT_IN) });
+    return createMemoryStore();
+  }
+  return BUILT_IN[requested]();
+}
+
+let store = createConfiguredStore();
+
+/**
+ * The active cache store
+ *
+ * @returns {Object} Cache store
+ */
+function getCacheStore() {
+  return store;
+}
+
+/**
+ * Replace the active cache store, e.g. with an external key-value store
+ *
+ * @param {Object} custom - Object implementing the store interface
+ * @returns {Object} The store now in use
+ */
+function setCacheStore(custom) {
+  if (!custom || ['get', 'set', 'delete'].some(fn => typeof custom[fn] !== 'function')) {
+    throw new Error('Cache store must implement get(key), set(key, entry, retainMs) and delete(key)');
+  }
+  store = custom;
+  logger.info('Rate cache store replaced', { store: custom.name || 'custom' });
+  return store;
+}
+
+module.exports = {
+  createConfiguredStore,
+  getCacheStore,
+  setCacheStore,
+  createMemoryStore,
+  createFileStore,
+  createKeyValueStore,
+  createRestKeyValueClient
+};
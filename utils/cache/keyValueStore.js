@@ -0,0 +1,97 @@
+/**
+ * Key-value Cache Store Adapter
+ *
+ * Wraps an external key-value client (Redis, Upstash, Vercel KV, ...) as a
+ * cache store, so serverless cold starts can share cached rates. The client
+ * only needs string get/set/delete with a time-to-live:
+ *
+ *   get(key)                  Promise<string|null>
+ *   set(key, value, ttlMs)    Promise<void>
+ *   del(key)                  Promise<void>
+ *
+ * e.g. for ioredis: { get: k => redis.get(k), set: (k, v, ms) => redis.set(k, v, 'PX', ms), del: k => redis.del(k) }
+ *
+ * createRestKeyValueClient() provides such a client for the Redis REST API of
+ * Vercel KV and Upstash, so deployments need no extra dependency.
+ */
+
+const { fetchWithTimeout } = require('../providers/upstream');
+
+// Per-command timeout for the REST client (ms)
+const KV_TIMEOUT_MS = Math.max(100, Number(process.env.RATE_CACHE_KV_TIMEOUT_MS || 2000));
+
+/**
+ * KV REST settings from the environment: Vercel KV (KV_REST_API_URL, KV_REST_API_TOKEN)
+ * or Upstash (UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN)
+ *
+ * @returns {Object|null} { url, token } or null when not configured
+ */
+function getKeyValueConfig() {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  return url && token ? { url: url.replace(/\/+$/, ''), token } : null;
+}
+
+/**
+ * Create a key-value client over the Redis REST API (one JSON command per request)
+ *
+ * @param {Object} config - { url, token } (see getKeyValueConfig)
+ * @returns {Object} { get, set, del } for createKeyValueStore
+ */
+function createRestKeyValueClient({ url, token }) {
+  const command = async (...args) => {
+    const res = await fetchWithTimeout(url, KV_TIMEOUT_MS, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const payload = await res.json().catch(() => null);
+    if (!res.ok || !payload || payload.error) {
+      throw new Error(`KV ${args[0]} failed: ${payload?.error || `status ${res.status}`}`);
+    }
+    return payload.result;
+  };
+
+  return {
+    get: key => command('GET', key),
+    set: (key, value, ttlMs) => command('SET', key, value, 'PX', ttlMs),
+    del: key => command('DEL', key)
+  };
+}
+
+/**
+ * Create a store backed by a key-value client
+ *
+ * @param {Object} client - { get, set, del } as described above
+ * @param {Object} [options]
+ * @param {string} [options.prefix='rates:'] - Prefix for every key
+ * @returns {Object} Cache store
+ */
+function createKeyValueStore(client, { prefix = 'rates:' } = {}) {
+  if (!client || ['get', 'set', 'del'].some(fn => typeof client[fn] !== 'function')) {
+    throw new Error('Key-value cache client must provide get(key), set(key, value, ttlMs) and del(key)');
+  }
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, entry, retainMs) {
+      await client.set(prefix + key, JSON.stringify(entry), Math.max(1, Math.round(retainMs)));
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    }
+  };
+}
+
+module.exports = {
+  createKeyValueStore,
+  createRestKeyValueClient,
+  getKeyValueConfig
+};
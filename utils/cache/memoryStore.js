@@ -0,0 +1,49 @@
+/**
+ * In-memory Cache Store
+ *
+ * Keeps entries for the life of the process only (lost on restart or cold start).
+ */
+
+/**
+ * Create a memory store
+ *
+ * @returns {Object} Cache store
+ */
+function createMemoryStore() {
+  // key -> { entry, expiresAt }
+  const items = new Map();
+
+  const live = (key) => {
+    const item = items.get(key);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      items.delete(key);
+      return null;
+    }
+    return item.entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return live(key);
+    },
+
+    async set(key, entry, retainMs) {
+      items.set(key, { entry, expiresAt: Date.now() + retainMs });
+    },
+
+    async delete(key) {
+      items.delete(key);
+    },
+
+    async entries() {
+      return [...items.keys()].map(key => [key, live(key)]).filter(([, entry]) => entry);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,622 @@
+/**
+ * Conversion Service
+ *
+ * Runtime-agnostic implementation of `/api/convert` and `/api/convert/batch`, shared
+ * by the Express server and the Vercel function so both apply the same validation,
+ * upstream timeout and retries, rate cache, triangulation, fallback policy, pricing
+ * and SIEM logging. Entry points only authenticate the caller and write the
+ * `{ status, headers, body }` result (see http.js).
+ *
+ * Upstream rates come from the provider chain (see providers/); answers fetched
+ * live report the provider's id as `source`.
+ *
+ * Cached tables are written through to the cache store (see cache/) so they
+ * survive restarts. Past UPSTREAM_CACHE_TTL_MS an entry is still served for
+ * RATE_CACHE_STALE_WHILE_REVALIDATE_MS while it is refetched in the background,
+ * and for RATE_CACHE_STALE_IF_ERROR_MS as `cache-fallback` when every provider
+ * fails, before the static fallback table is used.
+ */
+
+const { logger, logError } = require('./logger');
+const { logSiemEvent } = require('./siem');
+const { getFallbackRate } = require('./fallbackRates');
+const { validateAndNormalizeQuery, validateConversionItem } = require('./conversionValidation');
+const { buildMultiTargetResponse, createFallbackLookup } = require('./multiTarget');
+const { recordSnapshot, resolveSnapshot, buildSnapshotResponse } = require('./rateSnapshots');
+const { PIVOTS, resolveRate, throughRebase, derivationFields } = require('./triangulation');
+const { assessRate, rateUnavailable } = require('./ratePolicy');
+const { priceConversion } = require('./pricing');
+const { publishRates } = require('./rateEvents');
+const { hasProviders, fetchLatestRates } = require('./providers');
+const { getCacheStore } = require('./cache');
+
+// Cache TTL (ms). Default 5 minutes; override via UPSTREAM_CACHE_TTL_MS
+const CACHE_TTL = Number(process.env.UPSTREAM_CACHE_TTL_MS || 5 * 60 * 1000);
+
+// After the TTL, entries are still served while refetched in the background
+const STALE_WHILE_REVALIDATE_MS = Math.max(0, Number(process.env.RATE_CACHE_STALE_WHILE_REVALIDATE_MS || 60 * 1000));
+
+// After the TTL, entries still answer (as cache-fallback) when every provider fails
+const STALE_IF_ERROR_MS = Math.max(0, Number(process.env.RATE_CACHE_STALE_IF_ERROR_MS || 24 * 60 * 60 * 1000));
+
+// How long entries are kept in memory and in the store
+const RETAIN_MS = CACHE_TTL + Math.max(STALE_WHILE_REVALIDATE_MS, STALE_IF_ERROR_MS);
+
+// Maximum number of items accepted by a batch conversion
+const BATCH_MAX_ITEMS = Math.max(1, Number(process.env.BATCH_MAX_ITEMS || 500));
+
+// In-memory cache { key: string -> { ts: number, data: object } }, keyed by
+// `latest:<BASE>` where BASE is the "from" currency. Lookups (including pivot
+// tables during triangulation) are synchronous against this map; the cache
+// store (see cache/) persists entries so restarts and cold starts can reload them.
+const cache = new Map();
+
+// base -> in-flight upstream fetch shared by every concurrent caller (single-flight)
+const inFlight = new Map();
+
+// Coalescing counters since process start (see getFetchMetrics)
+const fetchMetrics = { requests: 0, upstreamFetches: 0, coalesced: 0, failures: 0 };
+
+function getCacheKey(fromCurrency) {
+  return `latest:${fromCurrency}`;
+}
+
+// Cached payload no older than maxAge, or null
+function readWithin(fromCurrency, maxAge) {
+  const key = getCacheKey(fromCurrency);
+  const entry = cache.get(key);
+  if (!entry) return null;
+  const age = Date.now() - entry.ts;
+  if (age > RETAIN_MS) {
+    cache.delete(key);
+    return null;
+  }
+  return age <= maxAge ? entry.data : null;
+}
+
+/**
+ * Read a fresh cached latest/<BASE> payload
+ *
+ * @param {string} fromCurrency - Base currency code
+ * @returns {Object|null} Upstream payload or null when missing/expired
+ */
+function readFromCache(fromCurrency) {
+  return readWithin(fromCurrency, CACHE_TTL);
+}
+
+// conversion_rates table of a fresh cache entry, for pivot triangulation
+function readCachedTable(baseCurrency) {
+  const cached = readFromCache(baseCurrency);
+  return cached ? cached.conversion_rates : null;
+}
+
+/**
+ * Resolve a pair from cached tables no older than maxAge: a direct quote, the
+ * reciprocal of the target's quote, or a pivot derivation. Tables the refresher
+ * rebased from its reference base (`derivedFrom`, see rateRefresher.js) hold
+ * cross rates, so their direct answers are reported as derived through that base.
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {number} maxAge - Maximum entry age (ms)
+ * @returns {Object|null} { rate, derived, path? } or null
+ */
+function resolveCachedRate(from, to, maxAge) {
+  const readTable = (base) => {
+    const cached = readWithin(base, maxAge);
+    return cached ? cached.conversion_rates : null;
+  };
+  const resolved = resolveRate(from, to, readTable);
+  if (!resolved || resolved.derived || from === to) return resolved;
+  const answeredBy = readTable(from)?.[to] > 0 ? from : to;
+  return throughRebase(resolved, from, to, readWithin(answeredBy, maxAge)?.derivedFrom);
+}
+
+/**
+ * Cache a fresh upstream payload, persist it to the cache store and announce it
+ * to live rate feeds
+ *
+ * @param {string} fromCurrency - Base currency code
+ * @param {Object} data - Rates table
+ * @param {Object} [options] - { publish = true, persist = true }
+ */
+function writeToCache(fromCurrency, data, { publish = true, persist = true } = {}) {
+  const key = getCacheKey(fromCurrency);
+  const entry = { ts: Date.now(), data };
+  cache.set(key, entry);
+  if (persist) {
+    const store = getCacheStore();
+    store.set(key, entry, RETAIN_MS).catch((err) => {
+      logger.warn('Rate cache entry could not be persisted', { store: store.name, baseCurrency: fromCurrency, error: err.message });
+    });
+  }
+  if (publish) publishRates(fromCurrency, data);
+}
+
+/**
+ * Load entries missing from memory (or older there) from the cache store
+ *
+ * @param {string[]} bases - Base currency codes
+ * @returns {Promise<void>}
+ */
+async function hydrateFromStore(bases) {
+  const store = getCacheStore();
+  await Promise.all([...new Set(bases)].map(async (base) => {
+    const key = getCacheKey(base);
+    if (readFromCache(base)) return;
+    try {
+      const stored = await store.get(key);
+      const current = cache.get(key);
+      if (stored && stored.data && (!current || stored.ts > current.ts) && Date.now() - stored.ts <= RETAIN_MS) {
+        cache.set(key, stored);
+      }
+    } catch (err) {
+      logger.warn('Rate cache store read failed', { store: store.name, baseCurrency: base, error: err.message });
+    }
+  }));
+}
+
+/**
+ * Load every retained entry from the cache store into memory (server start)
+ *
+ * @returns {Promise<number>} Number of entries loaded
+ */
+async function warmCacheFromStore() {
+  const store = getCacheStore();
+  if (typeof store.entries !== 'function') return 0;
+  try {
+    let loaded = 0;
+    (await store.entries()).forEach(([key, entry]) => {
+      const current = cache.get(key);
+      if (entry && entry.data && (!current || entry.ts > current.ts) && Date.now() - entry.ts <= RETAIN_MS) {
+        cache.set(key, entry);
+        loaded += 1;
+      }
+    });
+    logger.info('Rate cache loaded from store', { store: store.name, entries: loaded });
+    return loaded;
+  } catch (err) {
+    logger.warn('Rate cache store could not be loaded', { store: store.name, error: err.message });
+    return 0;
+  }
+}
+
+/**
+ * Fetch conversion_rates for a base currency from the provider chain.
+ * Successful payloads are cached and recorded as the day's rate snapshot.
+ *
+ * Concurrent calls for the same base share one in-flight fetch (including the
+ * providers' retries and failover), so a burst of cache misses costs a single
+ * upstream call; callers joining it are counted as coalesced. Failures reject
+ * every caller and are not cached, so the next call fetches again.
+ *
+ * @param {string} fromCurrency - Base currency code
+ * @returns {Promise<Object>} Rates table ({ conversion_rates, time_last_update_utc, provider })
+ */
+function fetchRates(fromCurrency) {
+  fetchMetrics.requests += 1;
+  const pending = inFlight.get(fromCurrency);
+  if (pending) {
+    fetchMetrics.coalesced += 1;
+    return pending;
+  }
+
+  fetchMetrics.upstreamFetches += 1;
+  const flight = fetchLatestRates(fromCurrency)
+    .then((data) => {
+      writeToCache(fromCurrency, data);
+      // Keep a daily snapshot for historical conversions (never throws)
+      recordSnapshot(fromCurrency, data);
+      return data;
+    }, (err) => {
+      fetchMetrics.failures += 1;
+      throw err;
+    })
+    .finally(() => inFlight.delete(fromCurrency));
+  inFlight.set(fromCurrency, flight);
+  return flight;
+}
+
+// A base no provider quotes is an expected miss (warn, no stack); anything else is an error
+function logFetchError(err, context) {
+  if (err.code === 'BASE_NOT_QUOTED') {
+    logger.warn('Base currency not quoted by any rate provider', { ...context, providers: err.failures });
+    return;
+  }
+  logError(err, { ...context, providers: err.failures });
+}
+
+/**
+ * Upstream fetch coalescing counters since process start
+ *
+ * @returns {Object} { requests, upstreamFetches, coalesced, failures, inFlight, dedupRatio }
+ */
+function getFetchMetrics() {
+  return {
+    ...fetchMetrics,
+    inFlight: inFlight.size,
+    // Share of fetchRates calls answered by another caller's upstream fetch
+    dedupRatio: fetchMetrics.requests ? Number((fetchMetrics.coalesced / fetchMetrics.requests).toFixed(4)) : 0
+  };
+}
+
+// Refetch a base in the background unless a fetch for it is already in flight
+function revalidate(baseCurrency) {
+  if (inFlight.has(baseCurrency)) return;
+  fetchRates(baseCurrency).catch((err) => {
+    logFetchError(err, { baseCurrency, revalidate: true });
+  });
+}
+
+/**
+ * Cached payload that may answer a request: fresh, or stale within the
+ * stale-while-revalidate window (a background refetch is then started).
+ * Entries missing from memory are loaded from the cache store first.
+ *
+ * @param {string} baseCurrency - Base currency code
+ * @returns {Promise<Object|null>} Upstream payload or null
+ */
+async function readUsableCache(baseCurrency) {
+  await hydrateFromStore([baseCurrency]);
+  const fresh = readFromCache(baseCurrency);
+  if (fresh) return fresh;
+  const stale = readWithin(baseCurrency, CACHE_TTL + STALE_WHILE_REVALIDATE_MS);
+  if (stale) revalidate(baseCurrency);
+  return stale;
+}
+
+// Load a base and the pivots from the cache store before answering from stale tables
+function hydrateForFailure(baseCurrency) {
+  return hydrateFromStore([baseCurrency, ...PIVOTS]);
+}
+
+/**
+ * Latest payload for a base: the usable cache entry, else upstream (then cached)
+ *
+ * @param {string} baseCurrency - Base currency code
+ * @returns {Promise<Object>} { data, source: 'cache' | <provider id> }
+ */
+async function getLatestRates(baseCurrency) {
+  const cached = await readUsableCache(baseCurrency);
+  if (cached) return { data: cached, source: 'cache' };
+  const data = await fetchRates(baseCurrency);
+  return { data, source: data.provider };
+}
+
+// Answer every target of a multi-target request from a single latest/<BASE> payload
+async function convertMultiTarget({ from, targets, amount, money, client }) {
+  const respond = (lookupRate, source, lastUpdated) => ({
+    status: 200,
+    body: buildMultiTargetResponse({ from, targets, amount, lookupRate, source, lastUpdated, money, client })
+  });
+
+  if (!hasProviders()) {
+    logger.warn('No rate provider is configured; using fallback data', { fromCurrency: from, targets });
+    return respond(createFallbackLookup(from), 'fallback');
+  }
+
+  // The payload is the full latest/<BASE> table; targets missing from it are
+  // triangulated through other cached bases or reported as unavailable
+  try {
+    const { data, source } = await getLatestRates(from);
+    return respond(code => resolveCachedRate(from, code, CACHE_TTL + STALE_WHILE_REVALIDATE_MS), source, data.time_last_update_utc);
+  } catch (err) {
+    logFetchError(err, { fromCurrency: from, targets });
+
+    // Restarted or long outage: the last good table within the stale-if-error window
+    await hydrateForFailure(from);
+    const stale = readWithin(from, CACHE_TTL + STALE_IF_ERROR_MS);
+    if (stale) {
+      logger.warn('Using cached data due to upstream failure', { fromCurrency: from, targets });
+      return respond(code => resolveCachedRate(from, code, CACHE_TTL + STALE_IF_ERROR_MS), 'cache-fallback', stale.time_last_update_utc);
+    }
+
+    logger.warn('Using fallback rates due to upstream failure', { fromCurrency: from, targets });
+    return respond(createFallbackLookup(from), 'fallback');
+  }
+}
+
+/**
+ * Resolve the latest rate for one pair with the `/api/convert` precedence: usable cache
+ * (a pair missing from a usable base table is not refetched), the provider chain
+ * (direct or triangulated), cached tables after every provider failed, then the
+ * fallback table. Never invents a rate.
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @returns {Promise<Object>} { ok: true, resolved: { rate, derived, path? }, source, lastUpdated }
+ *   or { ok: false, code: 'RATE_UNAVAILABLE' | 'RATE_NOT_QUOTED' }
+ */
+async function resolveLatestRate(from, to) {
+  const found = (resolved, source, lastUpdated) => ({ ok: true, resolved, source, lastUpdated: lastUpdated || new Date().toISOString() });
+
+  // Derived from the static table (direct, reciprocal or via a pivot); null when nothing trustworthy exists
+  const fallbackRate = getFallbackRate(from, to);
+
+  // Degraded service: the fallback table or RATE_UNAVAILABLE
+  const degraded = () => {
+    if (fallbackRate) return found(fallbackRate, 'fallback', fallbackRate.lastUpdated);
+    logger.warn('No trustworthy exchange rate available', { fromCurrency: from, toCurrency: to });
+    return { ok: false, code: 'RATE_UNAVAILABLE' };
+  };
+
+  if (!hasProviders()) {
+    logger.warn('No rate provider is configured; using fallback data', {
+      fromCurrency: from,
+      toCurrency: to,
+      fallbackAvailable: Boolean(fallbackRate)
+    });
+    return degraded();
+  }
+
+  // Try cache first. A usable table for the base is as current as a refetch would
+  // be, so a pair it cannot answer (directly, reversed or through a cached pivot)
+  // is not refetched: unknown targets must not cost an upstream call per request
+  const cached = await readUsableCache(from);
+  if (cached) {
+    await hydrateFromStore([to, ...PIVOTS]);
+    const cachedRate = resolveCachedRate(from, to, CACHE_TTL + STALE_WHILE_REVALIDATE_MS);
+    if (cachedRate) return found(cachedRate, 'cache', cached.time_last_update_utc);
+    logger.warn('Exchange rate not in the cached rates table', { fromCurrency: from, toCurrency: to });
+    return degraded();
+  }
+
+  try {
+    const data = await fetchRates(from);
+
+    // Missing pairs are derived through a pivot from the fresh payload and other cached bases
+    const resolved = resolveCachedRate(from, to, CACHE_TTL);
+    if (resolved) {
+      return found(resolved, data.provider, data.time_last_update_utc);
+    }
+
+    if (fallbackRate) {
+      logger.warn('Exchange rate not available upstream; using fallback data', { fromCurrency: from, toCurrency: to });
+      return found(fallbackRate, 'fallback', fallbackRate.lastUpdated);
+    }
+
+    logger.warn('Exchange rate not available', {
+      fromCurrency: from,
+      toCurrency: to,
+      payloadKeys: Object.keys(data.conversion_rates || {}).length
+    });
+    return { ok: false, code: 'RATE_NOT_QUOTED' };
+  } catch (err) {
+    logFetchError(err, { fromCurrency: from, toCurrency: to });
+
+    // Answer from any table within the stale-if-error window: a direct quote or
+    // a pivot through other cached bases (including ones persisted before a restart)
+    await hydrateForFailure(from);
+    const cachedRate = resolveCachedRate(from, to, CACHE_TTL + STALE_IF_ERROR_MS);
+    if (cachedRate) {
+      logger.warn('Using cached data due to upstream failure', { fromCurrency: from, toCurrency: to, derived: cachedRate.derived });
+      const cachedBase = readWithin(cachedRate.derived ? cachedRate.path[1] : from, CACHE_TTL + STALE_IF_ERROR_MS);
+      return found(cachedRate, 'cache-fallback', cachedBase?.time_last_update_utc);
+    }
+
+    logger.warn('Using fallback rate due to upstream failure', {
+      fromCurrency: from,
+      toCurrency: to,
+      fallbackAvailable: Boolean(fallbackRate)
+    });
+    return degraded();
+  }
+}
+
+/**
+ * Error result for a pair resolveLatestRate could not answer
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {string} code - RATE_UNAVAILABLE or RATE_NOT_QUOTED
+ * @returns {Object} { status, headers?, body }
+ */
+function rateErrorResult(from, to, code) {
+  if (code === 'RATE_UNAVAILABLE') return rateUnavailable(from, to);
+  return { status: 400, body: { success: false, error: `Exchange rate from ${from} to ${to} not available.` } };
+}
+
+// Single-target conversion priced for the client
+async function convertSingle({ from, to, amount, targetAmount, money, client }) {
+  const found = await resolveLatestRate(from, to);
+  if (!found.ok) return rateErrorResult(from, to, found.code);
+
+  // `rate` stays the mid rate; amounts use the priced `appliedRate`
+  const { resolved, source, lastUpdated } = found;
+  return {
+    status: 200,
+    body: {
+      success: true,
+      rate: resolved.rate,
+      ...priceConversion({ from, to, amount, targetAmount, client }, resolved.rate, money),
+      from,
+      to,
+      lastUpdated,
+      source,
+      ...derivationFields(resolved),
+      ...assessRate({ source, lastUpdated, derived: resolved.derived })
+    }
+  };
+}
+
+/**
+ * Convert an amount (or look up a rate) for `/api/convert`
+ *
+ * @param {Object} query - Raw query parameters
+ * @param {Object} context
+ * @param {Object} [context.req] - Incoming request, for SIEM events
+ * @param {string} [context.correlationId] - Correlation ID for SIEM events
+ * @param {string} [context.client] - Authenticated username (per-client pricing)
+ * @returns {Promise<Object>} { status, headers?, body } (body without correlationId)
+ */
+async function convert(query, { req = null, correlationId = null, client } = {}) {
+  const validation = validateAndNormalizeQuery(query || {});
+  if (!validation.ok) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Invalid conversion request',
+      error: validation.error,
+      providedParams: Object.keys(query || {}),
+      path: '/api/convert'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: validation.error } };
+  }
+
+  const { from, to, targets, rawAmount: amount, rawTargetAmount: targetAmount, date } = validation;
+  const money = { rounding: validation.rounding, cash: validation.cash };
+
+  // Historical conversions are answered from the daily snapshot store only
+  if (date) {
+    const resolved = await resolveSnapshot(from, date);
+    if (!resolved.ok) {
+      logger.warn('No rate snapshot for historical conversion', { fromCurrency: from, date });
+      return { status: resolved.status, body: { success: false, code: resolved.code, error: resolved.error } };
+    }
+    return buildSnapshotResponse({ from, targets, amount, targetAmount, requestedDate: date, snapshot: resolved.snapshot, money, client });
+  }
+
+  if (targets.length > 1) {
+    return convertMultiTarget({ from, targets, amount, money, client });
+  }
+
+  return convertSingle({ from, to, amount, targetAmount, money, client });
+}
+
+/**
+ * Convert many { from, to, amount | targetAmount } items in one call.
+ * Items are grouped by base currency so each base is fetched at most once, and
+ * failures are reported per item instead of failing the whole batch.
+ *
+ * @param {Array} items - Raw batch items
+ * @param {Object} context - Same as convert()
+ * @returns {Promise<Object>} { status, body } (body without correlationId)
+ */
+async function convertBatch(items, { req = null, correlationId = null, client } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Batch body is not a non-empty array',
+      path: '/api/convert/batch'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: 'Request body must be a non-empty array of items (or { "items": [...] }).' } };
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Batch exceeds item limit',
+      itemCount: items.length,
+      maxItems: BATCH_MAX_ITEMS,
+      path: '/api/convert/batch'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: `A batch may contain at most ${BATCH_MAX_ITEMS} items.` } };
+  }
+
+  const configured = hasProviders();
+  const results = new Array(items.length);
+  const byBase = new Map(); // base currency -> [{ index, from, to, amount, rawAmount, rawTargetAmount, money }]
+
+  items.forEach((item, index) => {
+    const validation = validateConversionItem(item);
+    if (!validation.ok) {
+      results[index] = { index, success: false, error: validation.error };
+      return;
+    }
+    const { from, to, amount, rawAmount, rawTargetAmount, rounding, cash } = validation;
+    if (!byBase.has(from)) byBase.set(from, []);
+    byBase.get(from).push({ index, from, to, amount, rawAmount, rawTargetAmount, money: { rounding, cash } });
+  });
+
+  const invalidCount = results.filter(Boolean).length;
+  if (invalidCount > 0) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Invalid batch items',
+      invalidCount,
+      itemCount: items.length,
+      path: '/api/convert/batch'
+    }, req, correlationId);
+  }
+
+  const toResult = ({ index, from, to, amount, rawAmount, rawTargetAmount, money }, resolved, source, lastUpdated) => ({
+    index,
+    success: true,
+    from,
+    to,
+    amount,
+    rate: resolved.rate,
+    ...priceConversion({ from, to, amount: rawAmount, targetAmount: rawTargetAmount, client }, resolved.rate, money),
+    lastUpdated: lastUpdated || new Date().toISOString(),
+    source,
+    ...derivationFields(resolved),
+    ...assessRate({ source, lastUpdated, derived: resolved.derived })
+  });
+
+  // Fallback-table result, or a RATE_UNAVAILABLE item when no trustworthy rate exists
+  const fallbackResult = (entry) => {
+    const fallback = getFallbackRate(entry.from, entry.to);
+    if (!fallback) {
+      const { body } = rateUnavailable(entry.from, entry.to);
+      return { index: entry.index, success: false, code: body.code, error: body.error };
+    }
+    return toResult(entry, fallback, 'fallback', fallback.lastUpdated);
+  };
+
+  if (!configured) {
+    logger.warn('No rate provider is configured; using fallback data for batch', { bases: [...byBase.keys()] });
+  }
+
+  await Promise.all([...byBase.entries()].map(async ([base, entries]) => {
+    if (!configured) {
+      entries.forEach((entry) => { results[entry.index] = fallbackResult(entry); });
+      return;
+    }
+
+    try {
+      const { data, source } = await getLatestRates(base);
+      entries.forEach((entry) => {
+        const resolved = resolveCachedRate(entry.from, entry.to, CACHE_TTL + STALE_WHILE_REVALIDATE_MS);
+        results[entry.index] = resolved
+          ? toResult(entry, resolved, source, data.time_last_update_utc)
+          : fallbackResult(entry);
+      });
+    } catch (err) {
+      logFetchError(err, { baseCurrency: base, itemCount: entries.length });
+      logger.warn('Using cached or fallback rates for batch base due to upstream failure', { baseCurrency: base });
+      await hydrateForFailure(base);
+      const stale = readWithin(base, CACHE_TTL + STALE_IF_ERROR_MS);
+      entries.forEach((entry) => {
+        const cachedRate = resolveCachedRate(entry.from, entry.to, CACHE_TTL + STALE_IF_ERROR_MS);
+        results[entry.index] = cachedRate
+          ? toResult(entry, cachedRate, 'cache-fallback', stale?.time_last_update_utc)
+          : fallbackResult(entry);
+      });
+    }
+  }));
+
+  const succeeded = results.filter(r => r.success).length;
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  };
+}
+
+module.exports = {
+  CACHE_TTL,
+  STALE_WHILE_REVALIDATE_MS,
+  STALE_IF_ERROR_MS,
+  BATCH_MAX_ITEMS,
+  fetchRates,
+  getFetchMetrics,
+  readFromCache,
+  readCachedTable,
+  writeToCache,
+  warmCacheFromStore,
+  getLatestRates,
+  resolveLatestRate,
+  rateErrorResult,
+  convert,
+  convertBatch
+};
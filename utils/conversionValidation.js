@@ -0,0 +1,175 @@
+/**
+ * Conversion Request Validation
+ *
+ * Shared validation rules for conversion parameters so the Vercel handler
+ * (`api/convert.js`) and the Express server apply identical checks.
+ */
+
+const { isValidDay, toUtcDay } = require('./rateSnapshots');
+const { parseRoundingOptions } = require('./money');
+const { listCurrencies } = require('./currencies');
+
+// Validation config
+const ALLOWED_QUERY_PARAMS = new Set(['from', 'to', 'amount', 'targetAmount', 'date', 'rounding', 'cash']);
+const ISO_CURRENCY_REGEX = /^[A-Z]{3}$/;
+const MAX_AMOUNT = 1e12;
+const MAX_DECIMALS = 8;
+// Maximum number of comma-separated target currencies in "to"
+const MAX_TARGETS = 20;
+
+// Enabled ISO 4217 codes from the shared currency registry
+const ALLOWED_CURRENCIES = new Set(listCurrencies().map(c => c.code));
+
+/**
+ * Validate an optional decimal amount parameter
+ *
+ * @param {Object} query - Raw parameters
+ * @param {string} key - Parameter name ("amount" or "targetAmount")
+ * @returns {Object} { ok: true, value, raw } (nulls when absent) or { ok: false, error }
+ */
+function parseAmountParam(query, key) {
+  if (!Object.prototype.hasOwnProperty.call(query, key)) {
+    return { ok: true, value: null, raw: null };
+  }
+  const rawAmt = String(query[key]).trim();
+  if (rawAmt.length === 0) {
+    return { ok: false, error: `If provided, "${key}" must not be empty.` };
+  }
+  if (!/^[+-]?\d+(?:\.\d+)?$/.test(rawAmt)) {
+    return { ok: false, error: `"${key}" must be a plain decimal number without exponent.` };
+  }
+  const num = Number(rawAmt);
+  if (!Number.isFinite(num) || Number.isNaN(num)) {
+    return { ok: false, error: `Invalid numeric value for "${key}".` };
+  }
+  if (Math.abs(num) > MAX_AMOUNT) {
+    return { ok: false, error: `"${key}" is out of allowed range.` };
+  }
+  if (num < 0) {
+    return { ok: false, error: `"${key}" must be zero or a positive value.` };
+  }
+  const parts = rawAmt.split('.');
+  if (parts[1] && parts[1].length > MAX_DECIMALS) {
+    return { ok: false, error: `"${key}" may have at most ${MAX_DECIMALS} decimal places.` };
+  }
+  // Keep the exact decimal text for arbitrary-precision conversion math
+  return { ok: true, value: num, raw: rawAmt.replace(/^\+/, '') };
+}
+
+/**
+ * Validate and normalize conversion parameters
+ *
+ * @param {Object} query - Raw parameters ({ from, to, amount, targetAmount, date, rounding, cash })
+ * @returns {Object} { ok: true, from, to, targets, amount, rawAmount, targetAmount, rawTargetAmount, date, rounding, cash } or { ok: false, error }
+ */
+function validateAndNormalizeQuery(query) {
+  const keys = Object.keys(query || {});
+  for (const k of keys) {
+    if (!ALLOWED_QUERY_PARAMS.has(k)) {
+      return { ok: false, error: `Unexpected parameter '${k}'.` };
+    }
+  }
+
+  const rawFrom = query?.from;
+  const rawTo = query?.to;
+  if (!rawFrom || !rawTo) {
+    return { ok: false, error: 'Missing required query parameters "from" and "to".' };
+  }
+
+  const from = String(rawFrom).toUpperCase();
+  // "to" may be a comma-separated list of targets (e.g. "EUR,GBP,JPY")
+  const targets = [...new Set(String(rawTo).toUpperCase().split(',').map(t => t.trim()))];
+
+  if (targets.some(t => t.length === 0)) {
+    return { ok: false, error: '"to" must not contain empty currency codes.' };
+  }
+
+  if (targets.length > MAX_TARGETS) {
+    return { ok: false, error: `"to" may list at most ${MAX_TARGETS} currencies.` };
+  }
+
+  if (!ISO_CURRENCY_REGEX.test(from) || !targets.every(t => ISO_CURRENCY_REGEX.test(t))) {
+    return { ok: false, error: 'Currency codes must be 3-letter ISO codes (A-Z).' };
+  }
+
+  if (!ALLOWED_CURRENCIES.has(from) || !targets.every(t => ALLOWED_CURRENCIES.has(t))) {
+    return { ok: false, error: 'Currency not supported. Use a standard ISO 4217 currency code.' };
+  }
+
+  const to = targets.join(',');
+
+  const parsedAmount = parseAmountParam(query, 'amount');
+  if (!parsedAmount.ok) {
+    return { ok: false, error: parsedAmount.error };
+  }
+  const { value: amount, raw: rawAmount } = parsedAmount;
+
+  // Reverse mode: "targetAmount" asks how much of "from" is needed to receive it in "to"
+  const parsedTarget = parseAmountParam(query, 'targetAmount');
+  if (!parsedTarget.ok) {
+    return { ok: false, error: parsedTarget.error };
+  }
+  const { value: targetAmount, raw: rawTargetAmount } = parsedTarget;
+  if (targetAmount !== null && amount !== null) {
+    return { ok: false, error: 'Provide either "amount" or "targetAmount", not both.' };
+  }
+  if (targetAmount !== null && targets.length > 1) {
+    return { ok: false, error: '"targetAmount" accepts a single "to" currency.' };
+  }
+
+  const roundingOptions = parseRoundingOptions(query);
+  if (!roundingOptions.ok) {
+    return { ok: false, error: roundingOptions.error };
+  }
+  const { cash } = roundingOptions;
+  // Reverse conversions round the source amount up unless a mode is given, so the target is always covered
+  const rounding = targetAmount !== null && query.rounding === undefined ? 'up' : roundingOptions.rounding;
+
+  // Optional historical day, answered from the rate snapshot store
+  let date = null;
+  if (Object.prototype.hasOwnProperty.call(query, 'date')) {
+    date = String(query.date).trim();
+    if (!isValidDay(date)) {
+      return { ok: false, error: '"date" must be a valid calendar day in YYYY-MM-DD format.' };
+    }
+    if (date > toUtcDay(new Date())) {
+      return { ok: false, error: '"date" must not be in the future.' };
+    }
+  }
+
+  return { ok: true, from, to, targets, amount, rawAmount, targetAmount, rawTargetAmount, date, rounding, cash };
+}
+
+/**
+ * Validate a single item of a batch conversion request
+ *
+ * Items use the same fields and rules as a single conversion query.
+ *
+ * @param {any} item - Raw batch item
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDate=false] - Accept "date" (bulk job rows)
+ * @returns {Object} Same shape as validateAndNormalizeQuery
+ */
+function validateConversionItem(item, { allowDate = false } = {}) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { ok: false, error: 'Each item must be an object with "from", "to" and optional "amount".' };
+  }
+  const validation = validateAndNormalizeQuery(item);
+  if (validation.ok && validation.targets.length > 1) {
+    return { ok: false, error: 'Batch items accept a single "to" currency.' };
+  }
+  if (validation.ok && validation.date !== null && !allowDate) {
+    return { ok: false, error: 'Batch items do not support "date".' };
+  }
+  return validation;
+}
+
+module.exports = {
+  ALLOWED_QUERY_PARAMS,
+  ALLOWED_CURRENCIES,
+  MAX_AMOUNT,
+  MAX_DECIMALS,
+  MAX_TARGETS,
+  validateAndNormalizeQuery,
+  validateConversionItem
+};
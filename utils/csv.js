@@ -0,0 +1,153 @@
+/**
+ * CSV Reading and Writing
+ *
+ * Minimal RFC 4180 parser and writer for spreadsheet-facing endpoints: quoted
+ * fields, doubled quotes, CRLF or LF line endings and a leading BOM. Rows are
+ * returned as objects keyed by the lower-cased header names.
+ */
+
+const { logSiemEvent } = require('./siem');
+
+// Cells starting with these are evaluated as formulas by spreadsheet applications
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text with a header line
+ *
+ * @param {string} text - CSV document
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Reject documents with more data rows than this
+ * @returns {Object} { ok: true, columns, rows } or { ok: false, error }
+ */
+function parseCsv(text, { maxRows = Infinity } = {}) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      line++;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    return { ok: false, error: `Unterminated quoted field at line ${line}.` };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  const nonEmpty = records.filter(r => r.length > 1 || r[0].trim() !== '');
+  if (nonEmpty.length === 0) {
+    return { ok: false, error: 'CSV must contain a header line.' };
+  }
+
+  const columns = nonEmpty[0].map(name => name.trim().toLowerCase());
+  if (columns.some(name => name === '') || new Set(columns).size !== columns.length) {
+    return { ok: false, error: 'CSV header names must be non-empty and unique.' };
+  }
+  if (nonEmpty.length - 1 > maxRows) {
+    return { ok: false, error: `CSV may contain at most ${maxRows} data rows.` };
+  }
+
+  const rows = [];
+  for (const [offset, values] of nonEmpty.slice(1).entries()) {
+    if (values.length !== columns.length) {
+      return { ok: false, error: `Row ${offset + 1} has ${values.length} fields; expected ${columns.length}.` };
+    }
+    const row = {};
+    columns.forEach((name, i) => {
+      const value = values[i].trim();
+      // Empty cells are treated as absent so optional columns can be left blank
+      if (value !== '') row[name] = value;
+    });
+    rows.push(row);
+  }
+  return { ok: true, columns, rows };
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV (CRLF line endings, header first)
+ *
+ * @param {string[]} columns - Column names, in order
+ * @param {Object[]} rows - Objects keyed by column name
+ * @returns {string} CSV document
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(formatCell).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(name => formatCell(row[name])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Express middleware turning a `text/csv` body (read by express.text) into an
+ * array of row objects, so routes and the sanitization middleware see the same
+ * shape as a JSON body. Must run before sanitization, which would flatten the
+ * line breaks of a raw CSV string.
+ *
+ * Sets `req.csvColumns` to the header names.
+ *
+ * @param {Object} [options] - { maxRows }
+ * @returns {Function} Express middleware
+ */
+function csvBodyMiddleware(options = {}) {
+  return (req, res, next) => {
+    if (typeof req.body !== 'string') return next();
+    const parsed = parseCsv(req.body, options);
+    if (!parsed.ok) {
+      logSiemEvent('VALIDATION_FAILED', {
+        reason: 'Invalid CSV body',
+        error: parsed.error,
+        path: req.path
+      }, req, req.correlationId);
+      return res.status(400).json({ success: false, error: parsed.error, correlationId: req.correlationId });
+    }
+    req.body = parsed.rows;
+    req.csvColumns = parsed.columns;
+    return next();
+  };
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  csvBodyMiddleware
+};
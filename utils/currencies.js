@@ -0,0 +1,165 @@
+/**
+ * Currency Registry
+ *
+ * Single source of truth for the currencies the application knows about:
+ * ISO 4217 code, display name, symbol, minor-unit exponent and whether the
+ * server accepts it. Used for validation in both runtimes and served to the
+ * front end by `GET /api/currencies`.
+ */
+
+// `enabled: false` keeps a currency known (name, symbol) while the API rejects it
+const CURRENCIES = [
+  { code: 'USD', name: 'United States Dollar', symbol: '$', minorUnits: 2, enabled: true },
+  { code: 'EUR', name: 'Euro', symbol: '€', minorUnits: 2, enabled: true },
+  { code: 'JPY', name: 'Japanese Yen', symbol: '¥', minorUnits: 0, enabled: true },
+  { code: 'GBP', name: 'British Pound', symbol: '£', minorUnits: 2, enabled: true },
+  { code: 'AUD', name: 'Australian Dollar', symbol: 'A$', minorUnits: 2, enabled: true },
+  { code: 'CAD', name: 'Canadian Dollar', symbol: 'C$', minorUnits: 2, enabled: true },
+  { code: 'CHF', name: 'Swiss Franc', symbol: 'CHF', minorUnits: 2, enabled: true },
+  { code: 'CNY', name: 'Chinese Yuan', symbol: '¥', minorUnits: 2, enabled: true },
+  { code: 'HKD', name: 'Hong Kong Dollar', symbol: 'HK$', minorUnits: 2, enabled: true },
+  { code: 'NZD', name: 'New Zealand Dollar', symbol: 'NZ$', minorUnits: 2, enabled: true },
+  { code: 'SEK', name: 'Swedish Krona', symbol: 'kr', minorUnits: 2, enabled: true },
+  { code: 'KRW', name: 'South Korean Won', symbol: '₩', minorUnits: 0, enabled: true },
+  { code: 'SGD', name: 'Singapore Dollar', symbol: 'S$', minorUnits: 2, enabled: true },
+  { code: 'NOK', name: 'Norwegian Krone', symbol: 'kr', minorUnits: 2, enabled: true },
+  { code: 'MXN', name: 'Mexican Peso', symbol: 'MX$', minorUnits: 2, enabled: true },
+  { code: 'INR', name: 'Indian Rupee', symbol: '₹', minorUnits: 2, enabled: true },
+  { code: 'RUB', name: 'Russian Ruble', symbol: '₽', minorUnits: 2, enabled: true },
+  { code: 'ZAR', name: 'South African Rand', symbol: 'R', minorUnits: 2, enabled: true },
+  { code: 'TRY', name: 'Turkish Lira', symbol: '₺', minorUnits: 2, enabled: true },
+  { code: 'BRL', name: 'Brazilian Real', symbol: 'R$', minorUnits: 2, enabled: true },
+  { code: 'TWD', name: 'New Taiwan Dollar', symbol: 'NT$', minorUnits: 2, enabled: true },
+  { code: 'DKK', name: 'Danish Krone', symbol: 'kr', minorUnits: 2, enabled: true },
+  { code: 'PLN', name: 'Polish Zloty', symbol: 'zł', minorUnits: 2, enabled: true },
+  { code: 'THB', name: 'Thai Baht', symbol: '฿', minorUnits: 2, enabled: true },
+  { code: 'IDR', name: 'Indonesian Rupiah', symbol: 'Rp', minorUnits: 2, enabled: true },
+  { code: 'HUF', name: 'Hungarian Forint', symbol: 'Ft', minorUnits: 2, enabled: true },
+  { code: 'CZK', name: 'Czech Koruna', symbol: 'Kč', minorUnits: 2, enabled: true },
+  { code: 'ILS', name: 'Israeli New Shekel', symbol: '₪', minorUnits: 2, enabled: true },
+  { code: 'CLP', name: 'Chilean Peso', symbol: 'CLP$', minorUnits: 0, enabled: true },
+  { code: 'PHP', name: 'Philippine Peso', symbol: '₱', minorUnits: 2, enabled: true },
+  { code: 'AED', name: 'United Arab Emirates Dirham', symbol: 'د.إ', minorUnits: 2, enabled: true },
+  { code: 'COP', name: 'Colombian Peso', symbol: 'COL$', minorUnits: 2, enabled: true },
+  { code: 'SAR', name: 'Saudi Riyal', symbol: 'SR', minorUnits: 2, enabled: true },
+  { code: 'MYR', name: 'Malaysian Ringgit', symbol: 'RM', minorUnits: 2, enabled: true },
+  { code: 'RON', name: 'Romanian Leu', symbol: 'lei', minorUnits: 2, enabled: true },
+  { code: 'ARS', name: 'Argentine Peso', symbol: 'ARS$', minorUnits: 2, enabled: true },
+  { code: 'PEN', name: 'Peruvian Sol', symbol: 'S/', minorUnits: 2, enabled: true },
+  { code: 'NGN', name: 'Nigerian Naira', symbol: '₦', minorUnits: 2, enabled: true },
+  { code: 'EGP', name: 'Egyptian Pound', symbol: 'E£', minorUnits: 2, enabled: true },
+  { code: 'BDT', name: 'Bangladeshi Taka', symbol: '৳', minorUnits: 2, enabled: true },
+  { code: 'PKR', name: 'Pakistani Rupee', symbol: '₨', minorUnits: 2, enabled: true },
+  { code: 'VND', name: 'Vietnamese Dong', symbol: '₫', minorUnits: 0, enabled: true },
+  { code: 'MAD', name: 'Moroccan Dirham', symbol: 'DH', minorUnits: 2, enabled: true },
+  { code: 'DZD', name: 'Algerian Dinar', symbol: 'DA', minorUnits: 2, enabled: true },
+  { code: 'KWD', name: 'Kuwaiti Dinar', symbol: 'KD', minorUnits: 3, enabled: true },
+  { code: 'QAR', name: 'Qatari Riyal', symbol: 'QR', minorUnits: 2, enabled: true },
+  { code: 'BHD', name: 'Bahraini Dinar', symbol: 'BD', minorUnits: 3, enabled: true },
+  { code: 'OMR', name: 'Omani Rial', symbol: 'OMR', minorUnits: 3, enabled: true },
+  { code: 'UYU', name: 'Uruguayan Peso', symbol: '$U', minorUnits: 2, enabled: true },
+  { code: 'BOB', name: 'Bolivian Boliviano', symbol: 'Bs', minorUnits: 2, enabled: true },
+  { code: 'PYG', name: 'Paraguayan Guaraní', symbol: '₲', minorUnits: 0, enabled: true },
+  { code: 'GTQ', name: 'Guatemalan Quetzal', symbol: 'Q', minorUnits: 2, enabled: true },
+  { code: 'CRC', name: 'Costa Rican Colón', symbol: '₡', minorUnits: 2, enabled: true },
+  { code: 'DOP', name: 'Dominican Peso', symbol: 'RD$', minorUnits: 2, enabled: true },
+  { code: 'JMD', name: 'Jamaican Dollar', symbol: 'J$', minorUnits: 2, enabled: true },
+  { code: 'TTD', name: 'Trinidad and Tobago Dollar', symbol: 'TT$', minorUnits: 2, enabled: true },
+  { code: 'BBD', name: 'Barbadian Dollar', symbol: 'Bds$', minorUnits: 2, enabled: true },
+  { code: 'BMD', name: 'Bermudian Dollar', symbol: 'BD$', minorUnits: 2, enabled: true },
+  { code: 'BSD', name: 'Bahamian Dollar', symbol: 'B$', minorUnits: 2, enabled: true },
+  { code: 'XCD', name: 'East Caribbean Dollar', symbol: 'EC$', minorUnits: 2, enabled: true },
+  { code: 'RSD', name: 'Serbian Dinar', symbol: 'din', minorUnits: 2, enabled: true },
+  { code: 'UAH', name: 'Ukrainian Hryvnia', symbol: '₴', minorUnits: 2, enabled: true },
+  { code: 'GEL', name: 'Georgian Lari', symbol: '₾', minorUnits: 2, enabled: true },
+  { code: 'KZT', name: 'Kazakhstani Tenge', symbol: '₸', minorUnits: 2, enabled: true },
+  { code: 'UZS', name: 'Uzbekistani Soʻm', symbol: 'soʻm', minorUnits: 2, enabled: true },
+  { code: 'AZN', name: 'Azerbaijani Manat', symbol: '₼', minorUnits: 2, enabled: true },
+  { code: 'AMD', name: 'Armenian Dram', symbol: '֏', minorUnits: 2, enabled: true },
+  { code: 'BYN', name: 'Belarusian Ruble', symbol: 'Br', minorUnits: 2, enabled: true },
+  { code: 'BGN', name: 'Bulgarian Lev', symbol: 'лв', minorUnits: 2, enabled: false }, // replaced by EUR on 2026-01-01
+  { code: 'HRK', name: 'Croatian Kuna', symbol: 'kn', minorUnits: 2, enabled: false }, // replaced by EUR on 2023-01-01
+  { code: 'ISK', name: 'Icelandic Króna', symbol: 'kr', minorUnits: 0, enabled: true },
+  { code: 'MKD', name: 'Macedonian Denar', symbol: 'ден', minorUnits: 2, enabled: true },
+  { code: 'ALL', name: 'Albanian Lek', symbol: 'L', minorUnits: 2, enabled: true },
+  { code: 'MDL', name: 'Moldovan Leu', symbol: 'L', minorUnits: 2, enabled: true },
+  { code: 'IRR', name: 'Iranian Rial', symbol: '﷼', minorUnits: 2, enabled: true },
+  { code: 'IQD', name: 'Iraqi Dinar', symbol: 'ع.د', minorUnits: 3, enabled: true },
+  { code: 'LKR', name: 'Sri Lankan Rupee', symbol: 'Rs', minorUnits: 2, enabled: true },
+  { code: 'NPR', name: 'Nepalese Rupee', symbol: 'Rs', minorUnits: 2, enabled: true },
+  { code: 'MMK', name: 'Burmese Kyat', symbol: 'K', minorUnits: 2, enabled: true },
+  { code: 'KHR', name: 'Cambodian Riel', symbol: '៛', minorUnits: 2, enabled: true },
+  { code: 'LAK', name: 'Lao Kip', symbol: '₭', minorUnits: 2, enabled: true },
+  { code: 'MNT', name: 'Mongolian Tögrög', symbol: '₮', minorUnits: 2, enabled: true },
+  { code: 'KGS', name: 'Kyrgyzstani Som', symbol: 'сом', minorUnits: 2, enabled: true },
+  { code: 'TJS', name: 'Tajikistani Somoni', symbol: 'SM', minorUnits: 2, enabled: true },
+  { code: 'AFN', name: 'Afghan Afghani', symbol: '؋', minorUnits: 2, enabled: true },
+  { code: 'MVR', name: 'Maldivian Rufiyaa', symbol: 'Rf', minorUnits: 2, enabled: true },
+  { code: 'BND', name: 'Brunei Dollar', symbol: 'B$', minorUnits: 2, enabled: true },
+  { code: 'FJD', name: 'Fijian Dollar', symbol: 'FJ$', minorUnits: 2, enabled: true },
+  { code: 'PGK', name: 'Papua New Guinean Kina', symbol: 'K', minorUnits: 2, enabled: true },
+  { code: 'SBD', name: 'Solomon Islands Dollar', symbol: 'SI$', minorUnits: 2, enabled: true },
+  { code: 'VUV', name: 'Vanuatu Vatu', symbol: 'VT', minorUnits: 0, enabled: true },
+  { code: 'XPF', name: 'CFP Franc', symbol: '₣', minorUnits: 0, enabled: true },
+  { code: 'XOF', name: 'West African CFA Franc', symbol: 'CFA', minorUnits: 0, enabled: true },
+  { code: 'XAF', name: 'Central African CFA Franc', symbol: 'FCFA', minorUnits: 0, enabled: true },
+  { code: 'KES', name: 'Kenyan Shilling', symbol: 'KSh', minorUnits: 2, enabled: true },
+  { code: 'TZS', name: 'Tanzanian Shilling', symbol: 'TSh', minorUnits: 2, enabled: true },
+  { code: 'UGX', name: 'Ugandan Shilling', symbol: 'USh', minorUnits: 0, enabled: true },
+  { code: 'GHS', name: 'Ghanaian Cedi', symbol: 'GH₵', minorUnits: 2, enabled: true },
+  { code: 'ETB', name: 'Ethiopian Birr', symbol: 'Br', minorUnits: 2, enabled: true },
+  { code: 'CDF', name: 'Congolese Franc', symbol: 'FC', minorUnits: 2, enabled: true },
+  { code: 'ZMW', name: 'Zambian Kwacha', symbol: 'ZK', minorUnits: 2, enabled: true },
+  { code: 'MWK', name: 'Malawian Kwacha', symbol: 'MK', minorUnits: 2, enabled: true },
+  { code: 'MZN', name: 'Mozambican Metical', symbol: 'MT', minorUnits: 2, enabled: true },
+  { code: 'MUR', name: 'Mauritian Rupee', symbol: '₨', minorUnits: 2, enabled: true },
+  { code: 'SCR', name: 'Seychellois Rupee', symbol: 'SR', minorUnits: 2, enabled: true },
+  { code: 'NAD', name: 'Namibian Dollar', symbol: 'N$', minorUnits: 2, enabled: true },
+  { code: 'BWP', name: 'Botswana Pula', symbol: 'P', minorUnits: 2, enabled: true },
+  { code: 'GMD', name: 'Gambian Dalasi', symbol: 'D', minorUnits: 2, enabled: true },
+  { code: 'TND', name: 'Tunisian Dinar', symbol: 'DT', minorUnits: 3, enabled: true },
+  { code: 'LYD', name: 'Libyan Dinar', symbol: 'LD', minorUnits: 3, enabled: true },
+  { code: 'SDG', name: 'Sudanese Pound', symbol: 'ج.س', minorUnits: 2, enabled: true }
+];
+
+const BY_CODE = new Map(CURRENCIES.map(c => [c.code, c]));
+
+/**
+ * Look up a currency by ISO code
+ *
+ * @param {string} code - ISO 4217 code
+ * @returns {Object|null} Registry entry or null when unknown
+ */
+function getCurrency(code) {
+  return BY_CODE.get(String(code || '').toUpperCase()) || null;
+}
+
+/**
+ * Check whether a currency is known and enabled for conversions
+ *
+ * @param {string} code - ISO 4217 code (already upper-cased)
+ * @returns {boolean} True when the server accepts the currency
+ */
+function isSupportedCurrency(code) {
+  const currency = BY_CODE.get(code);
+  return Boolean(currency && currency.enabled);
+}
+
+/**
+ * List registry entries
+ *
+ * @param {Object} options - { includeDisabled: boolean }
+ * @returns {Object[]} Currency entries (copies)
+ */
+function listCurrencies({ includeDisabled = false } = {}) {
+  return CURRENCIES
+    .filter(c => includeDisabled || c.enabled)
+    .map(c => ({ ...c }));
+}
+
+module.exports = {
+  CURRENCIES,
+  getCurrency,
+  isSupportedCurrency,
+  listCurrencies
+};
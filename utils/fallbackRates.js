@@ -9,15 +9,31 @@ const FALLBACK_RATES = {
   JPY: { USD: 0.0091, EUR: 0.0077, GBP: 0.0067, PHP: 0.53, INR: 0.68 }
 };
 
+const { resolveRate } = require('./triangulation');
+
+// FALLBACK_RATES plus the reciprocal of every quote the table does not list itself
+// (e.g. BRL→USD = 1 / USD→BRL). Explicit quotes always win over reciprocals.
+const FALLBACK_TABLES = {};
+Object.entries(FALLBACK_RATES).forEach(([base, quotes]) => {
+  FALLBACK_TABLES[base] = { ...FALLBACK_TABLES[base], ...quotes };
+  Object.entries(quotes).forEach(([code, rate]) => {
+    if (FALLBACK_RATES[code]?.[base] !== undefined) return;
+    FALLBACK_TABLES[code] = { ...FALLBACK_TABLES[code], [base]: Number((1 / rate).toPrecision(12)) };
+  });
+});
+
+// Pairs missing from the table are derived from reciprocals or through a pivot
+// currency (e.g. PHP→USD→KRW). Returns null when nothing can be derived; callers
+// must answer RATE_UNAVAILABLE rather than invent a rate.
 function getFallbackRate(fromCurrency, toCurrency) {
-  const base = FALLBACK_RATES[fromCurrency];
-  const hasRate = base && typeof base[toCurrency] === 'number';
-  const rate = hasRate ? base[toCurrency] : 1.0;
+  const resolved = resolveRate(fromCurrency, toCurrency, base => FALLBACK_TABLES[base] || null);
+  if (!resolved) return null;
 
   return {
-    rate,
+    rate: resolved.rate,
     lastUpdated: new Date().toISOString(),
-    defaulted: !hasRate
+    derived: Boolean(resolved.derived),
+    path: resolved.derived ? resolved.path : undefined
   };
 }
 
@@ -0,0 +1,28 @@
+/**
+ * Response Helpers
+ *
+ * Shared by Express routes and Vercel functions, whose response objects both
+ * support `status`, `setHeader` and `json`.
+ */
+
+/**
+ * Write a `{ status, headers, body }` result from a shared service.
+ * Results carrying `text` (e.g. a CSV download) are sent as-is; their headers
+ * must set the Content-Type, and the correlation ID travels in X-Correlation-ID.
+ *
+ * @param {Object} res - Express or Vercel response
+ * @param {Object} result - { status, headers?, body } or { status, headers, text }
+ * @param {string} correlationId - Added to the body for client tracking
+ * @returns {Object} The response
+ */
+function sendResult(res, { status, headers = {}, body, text }, correlationId) {
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  if (typeof text === 'string') {
+    return res.status(status).send(text);
+  }
+  return res.status(status).json({ ...body, correlationId });
+}
+
+module.exports = {
+  sendResult
+};
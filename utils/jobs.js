@@ -0,0 +1,270 @@
+/**
+ * Bulk Conversion Jobs
+ *
+ * A CSV upload (`from,to,amount[,date]`) becomes a background job: rows are
+ * converted in chunks through the same service as `/api/convert` and
+ * `/api/convert/batch`, progress can be polled, and the finished job is
+ * downloaded as a result CSV with per-row errors.
+ *
+ * Jobs run one at a time and yield to the event loop between chunks so uploads
+ * do not starve interactive requests. Each user may have at most
+ * JOB_MAX_ACTIVE_PER_USER jobs queued or running; further uploads get 429.
+ *
+ * Note: jobs live in process memory, so they do not survive restarts.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logError } = require('./logger');
+const { logSiemEvent } = require('./siem');
+const { convert, convertBatch, BATCH_MAX_ITEMS } = require('./conversionService');
+const { validateConversionItem } = require('./conversionValidation');
+const { toCsv } = require('./csv');
+
+// Maximum data rows in one upload
+const JOB_MAX_ROWS = Math.max(1, Number(process.env.JOB_MAX_ROWS || 10000));
+
+// Queued or running jobs one user may have; their rows are held in memory until they finish
+const JOB_MAX_ACTIVE_PER_USER = Math.max(1, Number(process.env.JOB_MAX_ACTIVE_PER_USER || 3));
+
+// Finished jobs (and their results) are kept this long, then dropped
+const JOB_RETENTION_MS = Math.max(1, Number(process.env.JOB_RETENTION_HOURS || 24)) * 60 * 60 * 1000;
+
+const REQUIRED_COLUMNS = ['from', 'to', 'amount'];
+const ALLOWED_COLUMNS = new Set([...REQUIRED_COLUMNS, 'date', 'rounding', 'cash']);
+
+const RESULT_COLUMNS = ['row', 'from', 'to', 'amount', 'date', 'rate', 'appliedRate', 'convertedAmount', 'fee', 'source', 'status', 'error'];
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// job id -> job
+const jobs = new Map();
+const queue = [];
+let draining = false;
+
+function pruneJobs(now) {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt + JOB_RETENTION_MS <= now) jobs.delete(id);
+  }
+}
+
+// Public view of a job (results are only available through the download)
+function toView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    succeeded: job.succeeded,
+    failed: job.failed,
+    progress: Math.floor((job.processed / job.total) * 100),
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    ...(job.error ? { error: job.error } : {}),
+    resultUrl: job.status === 'completed' ? `/api/jobs/${job.id}/result` : null
+  };
+}
+
+function jobNotFound(id) {
+  return { status: 404, body: { success: false, code: 'JOB_NOT_FOUND', error: `Job ${id} was not found.` } };
+}
+
+// Look up a job owned by the user; other users' jobs are reported as not found
+function findJob(id, username) {
+  if (!UUID_REGEX.test(String(id))) return null;
+  const job = jobs.get(String(id));
+  return job && job.username === username ? job : null;
+}
+
+function toResultRow(row, number, result) {
+  const base = { row: number, from: row.from, to: row.to, amount: row.amount, date: row.date };
+  if (!result.success) {
+    return { ...base, status: 'error', error: result.code ? `${result.code}: ${result.error}` : result.error };
+  }
+  return {
+    ...base,
+    rate: result.rate,
+    appliedRate: result.appliedRate,
+    convertedAmount: result.convertedAmount,
+    fee: result.fee,
+    source: result.source,
+    status: 'ok'
+  };
+}
+
+// Convert one chunk: every row is validated like a batch item first (single
+// target, whatever its date), then undated rows go through the batch path and
+// dated rows through the snapshot path
+async function processChunk(job, start, end) {
+  const undated = [];
+  const ctx = { correlationId: job.correlationId, client: job.username };
+
+  for (let i = start; i < end; i++) {
+    const row = job.rows[i];
+    const validation = validateConversionItem(row, { allowDate: true });
+    if (!validation.ok) {
+      job.results[i] = toResultRow(row, i + 1, { success: false, error: validation.error });
+    } else if (validation.date === null) {
+      undated.push(i);
+    } else {
+      const result = await convert(row, ctx);
+      job.results[i] = toResultRow(row, i + 1, { ...result.body, success: result.status === 200 });
+    }
+  }
+
+  if (undated.length > 0) {
+    const { status, body } = await convertBatch(undated.map(i => job.rows[i]), ctx);
+    undated.forEach((rowIndex, offset) => {
+      const result = status === 200 ? body.results[offset] : { success: false, error: body.error };
+      job.results[rowIndex] = toResultRow(job.rows[rowIndex], rowIndex + 1, result);
+    });
+  }
+
+  job.results.slice(start, end).forEach((r) => {
+    if (r.status === 'ok') job.succeeded++;
+    else job.failed++;
+  });
+  job.processed = end;
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+  try {
+    for (let start = 0; start < job.total; start += BATCH_MAX_ITEMS) {
+      await processChunk(job, start, Math.min(start + BATCH_MAX_ITEMS, job.total));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    job.status = 'completed';
+  } catch (err) {
+    logError(err, { message: 'Conversion job failed', jobId: job.id });
+    job.status = 'failed';
+    job.error = 'The job could not be completed.';
+  }
+  job.finishedAt = Date.now();
+  // Inputs are no longer needed once the result rows exist
+  job.rows = null;
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  while (queue.length > 0) {
+    await runJob(queue.shift());
+  }
+  draining = false;
+}
+
+/**
+ * Queue a conversion job from parsed CSV rows
+ *
+ * @param {Object[]} rows - Row objects (see csv.parseCsv)
+ * @param {string[]} columns - CSV header names
+ * @param {Object} context - { req, correlationId, client } (client is the owner)
+ * @returns {Object} { status, headers?, body }
+ */
+function createJob(rows, columns, { req = null, correlationId = null, client } = {}) {
+  const fail = (error) => {
+    logSiemEvent('VALIDATION_FAILED', { reason: 'Invalid job upload', error, path: '/api/jobs' }, req, correlationId);
+    return { status: 400, body: { success: false, error } };
+  };
+
+  if (!Array.isArray(rows) || !Array.isArray(columns)) {
+    return fail('Upload a CSV body (Content-Type: text/csv) with from,to,amount columns.');
+  }
+  const missing = REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+  if (missing.length > 0) return fail(`CSV is missing column(s): ${missing.join(', ')}.`);
+  const unexpected = columns.find(name => !ALLOWED_COLUMNS.has(name));
+  if (unexpected) return fail(`Unexpected CSV column '${unexpected}'.`);
+  if (rows.length === 0) return fail('CSV must contain at least one data row.');
+  if (rows.length > JOB_MAX_ROWS) return fail(`CSV may contain at most ${JOB_MAX_ROWS} data rows.`);
+
+  const now = Date.now();
+  pruneJobs(now);
+  const active = [...jobs.values()].filter(j => j.username === client && (j.status === 'queued' || j.status === 'running')).length;
+  if (active >= JOB_MAX_ACTIVE_PER_USER) {
+    logSiemEvent('RATE_LIMIT_EXCEEDED', { reason: 'Too many active jobs', username: client, active, path: '/api/jobs' }, req, correlationId);
+    return {
+      status: 429,
+      body: {
+        success: false,
+        code: 'JOB_LIMIT_REACHED',
+        error: `You already have ${active} job(s) queued or running (limit ${JOB_MAX_ACTIVE_PER_USER}); wait for one to finish.`
+      }
+    };
+  }
+
+  const job = {
+    id: uuidv4(),
+    username: client,
+    correlationId,
+    status: 'queued',
+    total: rows.length,
+    rows,
+    results: new Array(rows.length),
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+
+  logSiemEvent('JOB_CREATED', { jobId: job.id, username: client, rowCount: rows.length }, req, correlationId);
+  drainQueue();
+
+  return {
+    status: 202,
+    headers: { Location: `/api/jobs/${job.id}` },
+    body: { success: true, job: toView(job) }
+  };
+}
+
+/**
+ * Get the progress of a job owned by the user
+ *
+ * @param {string} id - Job id
+ * @param {Object} context - { client }
+ * @returns {Object} { status, body }
+ */
+function getJob(id, { client } = {}) {
+  const job = findJob(id, client);
+  if (!job) return jobNotFound(id);
+  return { status: 200, body: { success: true, job: toView(job) } };
+}
+
+/**
+ * Download the result CSV of a completed job
+ *
+ * @param {string} id - Job id
+ * @param {Object} context - { client }
+ * @returns {Object} { status, headers, text } or { status, body } while not completed
+ */
+function getJobResult(id, { client } = {}) {
+  const job = findJob(id, client);
+  if (!job) return jobNotFound(id);
+  if (job.status !== 'completed') {
+    return {
+      status: 409,
+      body: { success: false, code: 'JOB_NOT_COMPLETED', error: `Job is ${job.status}; results are available once it has completed.`, job: toView(job) }
+    };
+  }
+  return {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="conversion-${job.id}.csv"`
+    },
+    text: toCsv(RESULT_COLUMNS, job.results)
+  };
+}
+
+module.exports = {
+  JOB_MAX_ROWS,
+  JOB_MAX_ACTIVE_PER_USER,
+  createJob,
+  getJob,
+  getJobResult
+};
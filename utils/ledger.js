@@ -0,0 +1,200 @@
+/**
+ * Ledger Revaluation
+ *
+ * Converts dated transactions at their booking-date rate (from the daily snapshot
+ * store, derived through the pivots' snapshots of that day when not quoted
+ * directly) and again at the current rate (the same
+ * lookup as `/api/convert`), reporting the unrealized FX gain or loss per line
+ * and per reporting currency (`POST /api/ledger/revaluation`).
+ */
+
+const { logSiemEvent } = require('./siem');
+const { validateAndNormalizeQuery } = require('./conversionValidation');
+const { Money, convertMoney, getMinorUnits } = require('./money');
+const { resolveSnapshot, resolveSnapshotRate } = require('./rateSnapshots');
+const { resolveLatestRate, rateErrorResult } = require('./conversionService');
+const { derivationFields } = require('./triangulation');
+
+// Maximum number of transactions in one revaluation
+const LEDGER_MAX_TRANSACTIONS = Math.max(1, Number(process.env.LEDGER_MAX_TRANSACTIONS || 1000));
+
+// Transaction fields; anything else is rejected per line
+const TRANSACTION_FIELDS = new Set(['date', 'from', 'to', 'amount', 'reference', 'rounding', 'cash']);
+
+function lineError(index, transaction, error, code) {
+  return {
+    index,
+    success: false,
+    ...(transaction && transaction.reference !== undefined ? { reference: String(transaction.reference) } : {}),
+    ...(code ? { code } : {}),
+    error
+  };
+}
+
+// Validate one transaction with the /api/convert rules, requiring a date and an amount
+function validateTransaction(transaction, defaultTo) {
+  if (!transaction || typeof transaction !== 'object' || Array.isArray(transaction)) {
+    return { ok: false, error: 'Each transaction must be an object with "date", "from", "to" and "amount".' };
+  }
+  const unexpected = Object.keys(transaction).find(k => !TRANSACTION_FIELDS.has(k));
+  if (unexpected) return { ok: false, error: `Unexpected field '${unexpected}'.` };
+
+  const { reference, ...query } = transaction;
+  if (query.to === undefined && defaultTo) query.to = defaultTo;
+  if (query.date === undefined || query.amount === undefined) {
+    return { ok: false, error: 'Each transaction needs a "date" and an "amount".' };
+  }
+  const validation = validateAndNormalizeQuery(query);
+  if (validation.ok && validation.targets.length > 1) {
+    return { ok: false, error: 'Transactions accept a single "to" currency.' };
+  }
+  return validation;
+}
+
+/**
+ * Revalue dated transactions at their booking-date rate and at today's rate
+ *
+ * @param {Array} transactions - Raw transactions ({ date, from, to, amount, reference? })
+ * @param {Object} context
+ * @param {string} [context.to] - Reporting currency for transactions without "to"
+ * @param {Object} [context.req] - Incoming request, for SIEM events
+ * @param {string} [context.correlationId] - Correlation ID for SIEM events
+ * @returns {Promise<Object>} { status, body } (body without correlationId)
+ */
+async function revalueLedger(transactions, { to: defaultTo = null, req = null, correlationId = null } = {}) {
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Ledger body is not a non-empty list of transactions',
+      path: '/api/ledger/revaluation'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: 'Request body must be a non-empty list of transactions (JSON array, { "transactions": [...] } or CSV).' } };
+  }
+  if (transactions.length > LEDGER_MAX_TRANSACTIONS) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Ledger exceeds transaction limit',
+      itemCount: transactions.length,
+      maxItems: LEDGER_MAX_TRANSACTIONS,
+      path: '/api/ledger/revaluation'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: `A revaluation may contain at most ${LEDGER_MAX_TRANSACTIONS} transactions.` } };
+  }
+
+  const results = new Array(transactions.length);
+  const entries = [];
+  transactions.forEach((transaction, index) => {
+    const validation = validateTransaction(transaction, defaultTo);
+    if (!validation.ok) {
+      results[index] = lineError(index, transaction, validation.error);
+      return;
+    }
+    entries.push({ index, reference: transaction.reference, validation });
+  });
+
+  const invalidCount = results.filter(Boolean).length;
+  if (invalidCount > 0) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Invalid ledger transactions',
+      invalidCount,
+      itemCount: transactions.length,
+      path: '/api/ledger/revaluation'
+    }, req, correlationId);
+  }
+
+  // One snapshot read per (base, day), one historical rate per (pair, day) and one current-rate lookup per pair
+  const snapshots = new Map();
+  const historicalRates = new Map();
+  const currentRates = new Map();
+  const memo = (map, key, load) => {
+    if (!map.has(key)) map.set(key, load());
+    return map.get(key);
+  };
+
+  await Promise.all(entries.map(async ({ index, reference, validation }) => {
+    const { from, to, date, amount, rawAmount, rounding, cash } = validation;
+    const money = { rounding, cash };
+    const transaction = { reference };
+
+    const historical = await memo(snapshots, `${from}:${date}`, () => resolveSnapshot(from, date));
+    if (!historical.ok) {
+      results[index] = lineError(index, transaction, historical.error, historical.code);
+      return;
+    }
+    const { snapshot } = historical;
+    const booking = await memo(historicalRates, `${from}:${to}:${snapshot.date}`, () => resolveSnapshotRate(snapshot, to));
+    if (!booking) {
+      results[index] = lineError(index, transaction, `Exchange rate from ${from} to ${to} not captured on ${snapshot.date}.`, 'SNAPSHOT_NOT_FOUND');
+      return;
+    }
+
+    const current = await memo(currentRates, `${from}:${to}`, () => resolveLatestRate(from, to));
+    if (!current.ok) {
+      const { body } = rateErrorResult(from, to, current.code);
+      results[index] = lineError(index, transaction, body.error, current.code);
+      return;
+    }
+
+    const historicalRate = booking.rate;
+    const booked = convertMoney(rawAmount, historicalRate, to, money);
+    const revalued = convertMoney(rawAmount, current.resolved.rate, to, money);
+    const difference = new Money(revalued.convertedAmountDecimal).minus(booked.convertedAmountDecimal);
+    results[index] = {
+      index,
+      success: true,
+      ...(reference !== undefined ? { reference: String(reference) } : {}),
+      date,
+      from,
+      to,
+      amount,
+      historicalRate,
+      historicalDate: snapshot.date,
+      ...(booking.derived ? { historicalPath: booking.path } : {}),
+      historicalAmount: booked.convertedAmount,
+      currentRate: current.resolved.rate,
+      currentAmount: revalued.convertedAmount,
+      difference: difference.toNumber(),
+      differenceDecimal: difference.toFixed(booked.minorUnits),
+      minorUnits: booked.minorUnits,
+      rounding: booked.rounding,
+      source: current.source,
+      lastUpdated: current.lastUpdated,
+      ...derivationFields(current.resolved)
+    };
+  }));
+
+  // Gain/loss per reporting currency (only lines that could be revalued)
+  const totalsByCurrency = new Map();
+  results.filter(r => r.success).forEach((line) => {
+    const totals = memo(totalsByCurrency, line.to, () => ({ historical: new Money(0), current: new Money(0) }));
+    totals.historical = totals.historical.plus(line.historicalAmount);
+    totals.current = totals.current.plus(line.currentAmount);
+  });
+  const totals = [...totalsByCurrency.entries()].map(([currency, { historical, current }]) => {
+    const minorUnits = getMinorUnits(currency);
+    const difference = current.minus(historical);
+    return {
+      currency,
+      historicalAmount: historical.toNumber(),
+      currentAmount: current.toNumber(),
+      difference: difference.toNumber(),
+      differenceDecimal: difference.toFixed(minorUnits)
+    };
+  });
+
+  const succeeded = results.filter(r => r.success).length;
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      totals,
+      results
+    }
+  };
+}
+
+module.exports = {
+  LEDGER_MAX_TRANSACTIONS,
+  revalueLedger
+};
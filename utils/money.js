@@ -0,0 +1,177 @@
+/**
+ * Decimal Money Arithmetic
+ *
+ * Converts amounts with arbitrary-precision decimals instead of binary floats and
+ * rounds results to each currency's ISO 4217 minor-unit exponent (2 for USD,
+ * 0 for JPY, 3 for KWD/BHD), with selectable rounding modes and optional cash
+ * rounding (e.g. CHF to the nearest 0.05).
+ */
+
+const Decimal = require('decimal.js');
+const { getCurrency } = require('./currencies');
+
+// Private Decimal constructor so we never mutate the library-wide configuration.
+// 40 significant digits covers a 1e12 amount with 8 decimals times any realistic rate.
+const Money = Decimal.clone({ precision: 40 });
+
+// Minor units for currencies missing from the registry
+const DEFAULT_MINOR_UNITS = 2;
+
+// Smallest physical cash denomination where it is coarser than the minor unit
+const CASH_ROUNDING = {
+  AUD: '0.05',
+  CAD: '0.05',
+  CHF: '0.05',
+  DKK: '0.5',
+  NOK: '1',
+  NZD: '0.1',
+  SEK: '1'
+};
+
+// Supported `rounding` parameter values
+const ROUNDING_MODES = {
+  'half-even': Money.ROUND_HALF_EVEN,
+  'half-up': Money.ROUND_HALF_UP,
+  down: Money.ROUND_DOWN,
+  up: Money.ROUND_UP
+};
+const DEFAULT_ROUNDING = ROUNDING_MODES[process.env.DEFAULT_ROUNDING_MODE] !== undefined
+  ? process.env.DEFAULT_ROUNDING_MODE
+  : 'half-even';
+
+/**
+ * Get the ISO 4217 minor-unit exponent for a currency
+ *
+ * @param {string} currency - Currency code
+ * @returns {number} Number of decimal places
+ */
+function getMinorUnits(currency) {
+  const entry = getCurrency(currency);
+  return entry ? entry.minorUnits : DEFAULT_MINOR_UNITS;
+}
+
+/**
+ * Validate the optional `rounding` and `cash` parameters
+ *
+ * @param {Object} query - Raw parameters
+ * @returns {Object} { ok: true, rounding, cash } or { ok: false, error }
+ */
+function parseRoundingOptions(query) {
+  let rounding = DEFAULT_ROUNDING;
+  if (query && query.rounding !== undefined) {
+    rounding = String(query.rounding).trim().toLowerCase();
+    if (ROUNDING_MODES[rounding] === undefined) {
+      return { ok: false, error: `"rounding" must be one of: ${Object.keys(ROUNDING_MODES).join(', ')}.` };
+    }
+  }
+
+  let cash = false;
+  if (query && query.cash !== undefined) {
+    const rawCash = String(query.cash).trim().toLowerCase();
+    if (rawCash !== 'true' && rawCash !== 'false') {
+      return { ok: false, error: '"cash" must be "true" or "false".' };
+    }
+    cash = rawCash === 'true';
+  }
+
+  return { ok: true, rounding, cash };
+}
+
+/**
+ * Round a decimal value to a currency's minor units (or cash increment)
+ *
+ * @param {Decimal|string|number} value - Value to round
+ * @param {string} currency - Currency code
+ * @param {Object} options - { rounding, cash }
+ * @returns {Decimal} Rounded value
+ */
+function roundMoney(value, currency, { rounding = DEFAULT_ROUNDING, cash = false } = {}) {
+  const mode = ROUNDING_MODES[rounding] !== undefined ? ROUNDING_MODES[rounding] : ROUNDING_MODES[DEFAULT_ROUNDING];
+  const decimal = new Money(value);
+
+  if (cash && CASH_ROUNDING[currency]) {
+    const increment = new Money(CASH_ROUNDING[currency]);
+    return decimal.div(increment).toDecimalPlaces(0, mode).mul(increment);
+  }
+  return decimal.toDecimalPlaces(getMinorUnits(currency), mode);
+}
+
+/**
+ * Convert an amount at a rate into the target currency.
+ * Pass the amount as the original decimal string to avoid float drift.
+ *
+ * @param {string|number|null} amount - Source amount (null for rate-only requests)
+ * @param {number} rate - Exchange rate
+ * @param {string} currency - Target currency code
+ * @param {Object} options - { rounding, cash }
+ * @returns {Object} { convertedAmount, convertedAmountDecimal, minorUnits, rounding }
+ */
+function convertMoney(amount, rate, currency, options = {}) {
+  const minorUnits = getMinorUnits(currency);
+  const rounding = options.rounding || DEFAULT_ROUNDING;
+  if (amount === null || amount === undefined) {
+    return { convertedAmount: null, convertedAmountDecimal: null, minorUnits, rounding };
+  }
+
+  const rounded = roundMoney(new Money(amount).mul(new Money(rate)), currency, options);
+  return {
+    convertedAmount: rounded.toNumber(),
+    convertedAmountDecimal: rounded.toFixed(minorUnits),
+    minorUnits,
+    rounding
+  };
+}
+
+/**
+ * Compute the source amount needed to receive a target amount at a rate.
+ * Rounded to the source currency's minor units; callers default to rounding
+ * `up` so the target amount is always covered.
+ *
+ * @param {string|number} targetAmount - Amount to land in the target currency
+ * @param {number} rate - Exchange rate (source -> target)
+ * @param {string} currency - Source currency code
+ * @param {Object} options - { rounding, cash }
+ * @returns {Object} { direction, targetAmount, sourceAmount, sourceAmountDecimal, minorUnits, rounding }
+ */
+function reverseConvertMoney(targetAmount, rate, currency, options = {}) {
+  const minorUnits = getMinorUnits(currency);
+  const rounding = options.rounding || DEFAULT_ROUNDING;
+  const rounded = roundMoney(new Money(targetAmount).div(new Money(rate)), currency, options);
+  return {
+    direction: 'reverse',
+    targetAmount: Number(targetAmount),
+    sourceAmount: rounded.toNumber(),
+    sourceAmountDecimal: rounded.toFixed(minorUnits),
+    minorUnits,
+    rounding
+  };
+}
+
+/**
+ * Convert forward (`amount` in the source currency) or in reverse (`targetAmount`
+ * in the target currency), whichever the validated request carries
+ *
+ * @param {Object} request - { from, to, amount, targetAmount } with decimal strings
+ * @param {number} rate - Exchange rate (from -> to)
+ * @param {Object} options - { rounding, cash }
+ * @returns {Object} convertMoney or reverseConvertMoney fields
+ */
+function convertForRequest({ from, to, amount, targetAmount }, rate, options = {}) {
+  if (targetAmount !== null && targetAmount !== undefined) {
+    return reverseConvertMoney(targetAmount, rate, from, options);
+  }
+  return convertMoney(amount, rate, to, options);
+}
+
+module.exports = {
+  Money,
+  CASH_ROUNDING,
+  ROUNDING_MODES,
+  DEFAULT_ROUNDING,
+  getMinorUnits,
+  parseRoundingOptions,
+  roundMoney,
+  convertMoney,
+  reverseConvertMoney,
+  convertForRequest
+};
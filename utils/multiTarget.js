@@ -0,0 +1,70 @@
+/**
+ * Multi-target Conversion Helpers
+ *
+ * Builds the response for "one source amount into many currencies" requests
+ * from a single rates table, so every target is answered from one payload.
+ * Each target is priced like a single conversion (see pricing.js).
+ */
+
+const { getFallbackRate } = require('./fallbackRates');
+const { derivationFields } = require('./triangulation');
+const { assessRate } = require('./ratePolicy');
+const { priceConversion } = require('./pricing');
+
+/**
+ * Build per-target results for a multi-target conversion
+ *
+ * @param {Object} params
+ * @param {string} params.from - Source currency code
+ * @param {string[]} params.targets - Target currency codes
+ * @param {string|null} params.amount - Decimal amount to convert (null for rate-only)
+ * @param {Function} params.lookupRate - (code) => number, { rate, derived, path } or undefined
+ * @param {string} params.source - Where the rates came from (provider id, cache, fallback)
+ * @param {string} params.lastUpdated - Timestamp of the rates table
+ * @param {Object} params.money - Rounding options ({ rounding, cash })
+ * @param {string} [params.client] - Authenticated username (per-client pricing)
+ * @returns {Object} Response body (without correlationId)
+ */
+function buildMultiTargetResponse({ from, targets, amount, lookupRate, source, lastUpdated, money = {}, client }) {
+  const results = targets.map((to) => {
+    const found = to === from ? 1 : lookupRate(to);
+    const resolved = typeof found === 'number' ? { rate: found } : found;
+    if (!resolved || typeof resolved.rate !== 'number') {
+      return { to, rate: null, convertedAmount: null, available: false };
+    }
+    return {
+      to,
+      rate: resolved.rate,
+      ...priceConversion({ from, to, amount, targetAmount: null, client }, resolved.rate, money),
+      ...derivationFields(resolved),
+      available: true
+    };
+  });
+
+  return {
+    success: true,
+    from,
+    amount: amount !== null ? Number(amount) : null,
+    targets,
+    results,
+    lastUpdated: lastUpdated || new Date().toISOString(),
+    source,
+    ...assessRate({ source, lastUpdated })
+  };
+}
+
+/**
+ * Create a rate lookup over the static fallback table for a base currency.
+ * Pairs that cannot be found or triangulated are reported as unavailable.
+ *
+ * @param {string} from - Source currency code
+ * @returns {Function} (code) => { rate, derived, path } or undefined
+ */
+function createFallbackLookup(from) {
+  return to => getFallbackRate(from, to) || undefined;
+}
+
+module.exports = {
+  buildMultiTargetResponse,
+  createFallbackLookup
+};
@@ -0,0 +1,231 @@
+/**
+ * Natural-language Conversion Queries
+ *
+ * Parses chat-style text such as "250 euros to yen" or "₱1,500 in USD" into a
+ * conversion (`GET /api/parse-convert?q=...`). Amounts may use thousands
+ * separators or a decimal comma; currencies may be ISO codes, symbols or names
+ * from the currency registry (the same data the UI shows). Ambiguous symbols
+ * and names (`$`, `kr`, "dollars") are answered with their candidates instead
+ * of a guess.
+ */
+
+const { logSiemEvent } = require('./siem');
+const { listCurrencies } = require('./currencies');
+const { decodeSanitizedString } = require('./sanitization');
+const { convert } = require('./conversionService');
+
+const MAX_QUERY_LENGTH = 200;
+
+// Common words that are not part of any registry name
+const ALIASES = {
+  'us$': ['USD'],
+  buck: ['USD'],
+  quid: ['GBP'],
+  sterling: ['GBP'],
+  'pound sterling': ['GBP'],
+  yuan: ['CNY'],
+  renminbi: ['CNY'],
+  rmb: ['CNY']
+};
+
+// Conversion verbs and filler before the amount
+const LEADING_WORDS = /^(?:please\s+)?(?:convert|change|exchange|how\s+much\s+(?:is|are)|what\s+is|what's)\s+/i;
+
+// "to", "in", "into", "as" or an arrow between the source and the target
+const SEPARATOR = /\s+(?:into|to|in|as)\s+|\s*(?:->|→|=>|=)\s*/gi;
+
+// Digits with optional grouping (",", ".", "'", narrow or plain spaces between groups of three)
+const NUMBER = /\d{1,3}(?:[ \u202F']\d{3})+(?:[.,]\d+)?|\d[\d.,']*\d|\d/;
+
+const CURRENCIES = listCurrencies();
+
+// Folds case and accents so "Króna" matches "krona"
+function normalizeWords(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9$\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// symbol (lower-cased) -> codes; a bare "$" also stands for every "X$" dollar and peso
+const SYMBOLS = new Map();
+CURRENCIES.forEach(({ code, symbol }) => {
+  const key = symbol.toLowerCase();
+  if (!SYMBOLS.has(key)) SYMBOLS.set(key, []);
+  SYMBOLS.get(key).push(code);
+  if (symbol.length > 1 && symbol.endsWith('$')) SYMBOLS.get('$').push(code);
+});
+
+const NAME_WORDS = CURRENCIES.map(({ code, name }) => ({ code, words: new Set(normalizeWords(name)) }));
+
+/**
+ * Resolve a currency mention to registry codes
+ *
+ * @param {string} text - Code, symbol or (partial) name, e.g. "EUR", "₱", "yen", "swiss francs"
+ * @returns {Object} { codes, matchedBy: 'code'|'symbol'|'name'|null }
+ */
+function resolveCurrencyTerm(text) {
+  const term = String(text || '').trim();
+  if (!term) return { codes: [], matchedBy: null };
+
+  const upper = term.toUpperCase();
+  if (/^[A-Z]{3}$/.test(upper) && CURRENCIES.some(c => c.code === upper)) {
+    return { codes: [upper], matchedBy: 'code' };
+  }
+
+  const lower = term.toLowerCase();
+  if (SYMBOLS.has(lower)) return { codes: [...SYMBOLS.get(lower)], matchedBy: 'symbol' };
+
+  const words = normalizeWords(term);
+  const alias = ALIASES[words.join(' ')];
+  if (alias) return { codes: [...alias], matchedBy: 'name' };
+
+  const codes = words.length > 0
+    ? NAME_WORDS.filter(entry => words.every(word => entry.words.has(word))).map(entry => entry.code)
+    : [];
+  return { codes, matchedBy: codes.length > 0 ? 'name' : null };
+}
+
+/**
+ * Parse a localized amount into a plain decimal string.
+ * A single "," followed by exactly three digits is read as a thousands
+ * separator ("1,500"); otherwise a lone comma is the decimal mark ("12,50").
+ * A single "." is always the decimal mark ("1.500" is 1.5).
+ *
+ * @param {string} raw - Amount text, e.g. "1,500", "1.234,56", "1 000"
+ * @returns {string|null} Decimal string (e.g. "1234.56") or null when malformed
+ */
+function parseLocaleAmount(raw) {
+  const text = String(raw).replace(/[ \u202F']/g, '');
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  let decimalMark = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimalMark = lastDot > lastComma ? '.' : ',';
+  } else if (lastComma >= 0) {
+    const single = text.indexOf(',') === lastComma;
+    decimalMark = single && text.length - lastComma - 1 !== 3 ? ',' : null;
+  } else if (lastDot >= 0) {
+    decimalMark = text.indexOf('.') === lastDot ? '.' : null;
+  }
+
+  const [integer, fraction, extra] = decimalMark ? text.split(decimalMark) : [text];
+  if (extra !== undefined) return null;
+  const grouping = integer.replace(/\d/g, '');
+  if (grouping && !new RegExp(`^\\d{1,3}(?:\\${grouping[0]}\\d{3})+$`).test(integer)) return null;
+  if (fraction !== undefined && !/^\d+$/.test(fraction)) return null;
+
+  const digits = integer.replace(/\D/g, '');
+  return fraction !== undefined ? `${digits}.${fraction}` : digits;
+}
+
+/**
+ * Parse conversion text into an amount and source/target currency mentions
+ *
+ * @param {string} text - e.g. "250 euros to yen"
+ * @returns {Object} { ok: true, amount, from: { text, codes, matchedBy }, to: {...} } or { ok: false, error }
+ */
+function parseConversionText(text) {
+  const cleaned = String(text)
+    .replace(/[\u00A0\u2007\u202F]/g, ' ')
+    .trim()
+    .replace(LEADING_WORDS, '')
+    .replace(/[?.!]+$/, '')
+    .trim();
+
+  // Split at the last separator, so "in" or "to" inside the source side does not matter
+  const separators = [...cleaned.matchAll(SEPARATOR)];
+  const last = separators[separators.length - 1];
+  if (!last || last.index === 0) {
+    return { ok: false, error: 'Say what to convert into, e.g. "250 EUR to JPY".' };
+  }
+  const source = cleaned.slice(0, last.index).trim();
+  const target = cleaned.slice(last.index + last[0].length).trim();
+
+  const number = source.match(NUMBER);
+  let amount = null;
+  if (number) {
+    amount = parseLocaleAmount(number[0]);
+    if (amount === null) return { ok: false, error: `Could not read the amount "${number[0]}".` };
+  }
+  const sourceTerm = number ? `${source.slice(0, number.index)} ${source.slice(number.index + number[0].length)}`.trim() : source;
+
+  return {
+    ok: true,
+    amount,
+    from: { text: sourceTerm, ...resolveCurrencyTerm(sourceTerm) },
+    to: { text: target, ...resolveCurrencyTerm(target) }
+  };
+}
+
+function describe(codes) {
+  return codes.map((code) => {
+    const { name, symbol } = CURRENCIES.find(c => c.code === code);
+    return { code, name, symbol };
+  });
+}
+
+/**
+ * Parse a natural-language query and perform the conversion
+ *
+ * @param {Object} query - Raw query parameters ({ q })
+ * @param {Object} context - Same as conversionService.convert()
+ * @returns {Promise<Object>} { status, headers?, body } (body without correlationId)
+ */
+async function parseConvert(query, context = {}) {
+  const { req = null, correlationId = null } = context;
+  const fail = (error, extra = {}) => {
+    logSiemEvent('VALIDATION_FAILED', { reason: 'Unparseable conversion text', error, path: '/api/parse-convert' }, req, correlationId);
+    return { status: 400, body: { success: false, error, ...extra } };
+  };
+
+  const unexpected = Object.keys(query || {}).find(k => k !== 'q');
+  if (unexpected) return fail(`Unexpected parameter '${unexpected}'.`);
+  // The sanitization middleware HTML-encodes query strings; symbols like "S/" need the original text
+  const q = decodeSanitizedString(typeof query?.q === 'string' ? query.q : '').trim();
+  if (!q) return fail('Missing required query parameter "q".');
+  if (q.length > MAX_QUERY_LENGTH) return fail(`"q" may be at most ${MAX_QUERY_LENGTH} characters.`);
+
+  const parsed = parseConversionText(q);
+  if (!parsed.ok) return fail(parsed.error, { code: 'UNPARSEABLE_QUERY' });
+
+  const understood = {
+    text: q,
+    amount: parsed.amount,
+    from: { text: parsed.from.text, code: parsed.from.codes.length === 1 ? parsed.from.codes[0] : null, matchedBy: parsed.from.matchedBy },
+    to: { text: parsed.to.text, code: parsed.to.codes.length === 1 ? parsed.to.codes[0] : null, matchedBy: parsed.to.matchedBy }
+  };
+
+  const unknown = ['from', 'to'].find(side => parsed[side].codes.length === 0);
+  if (unknown) {
+    const text = parsed[unknown].text;
+    return fail(text ? `Unknown currency "${text}".` : `No ${unknown === 'from' ? 'source' : 'target'} currency found.`, { code: 'UNKNOWN_CURRENCY', understood });
+  }
+
+  const ambiguous = ['from', 'to'].filter(side => parsed[side].codes.length > 1);
+  if (ambiguous.length > 0) {
+    const candidates = Object.fromEntries(ambiguous.map(side => [side, describe(parsed[side].codes)]));
+    return fail(`Ambiguous currency ${ambiguous.map(side => `"${parsed[side].text}"`).join(' and ')}; use an ISO code.`, {
+      code: 'AMBIGUOUS_CURRENCY',
+      understood,
+      candidates
+    });
+  }
+
+  const params = { from: understood.from.code, to: understood.to.code };
+  if (parsed.amount !== null) params.amount = parsed.amount;
+  const result = await convert(params, context);
+  return { ...result, body: { ...result.body, understood } };
+}
+
+module.exports = {
+  resolveCurrencyTerm,
+  parseLocaleAmount,
+  parseConversionText,
+  parseConvert
+};
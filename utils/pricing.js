@@ -0,0 +1,165 @@
+/**
+ * Conversion Pricing (spread, markup and fees)
+ *
+ * Turns the mid-market rate into a customer rate and fee using rules loaded from
+ * a JSON file (PRICING_CONFIG_PATH, default `config/pricing.json`) or, for serverless
+ * deployments without a bundled file, inline JSON in PRICING_CONFIG. Rules merge in
+ * order: `default` <- `pairs["FROM/TO"]` <- `clients[user].default` <- `clients[user].pairs["FROM/TO"]`.
+ *
+ * Rule fields (all optional, default 0):
+ * - spreadPercent : margin taken off the mid rate (appliedRate = midRate x (1 - spread/100))
+ * - feePercent    : fee as a percentage of the source amount
+ * - fixedFee      : flat fee in the source currency
+ * - minFee        : minimum total fee in the source currency
+ *
+ * Fees apply only to positive amounts; rate-only requests report `fee: null`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { Money, roundMoney, convertForRequest, getMinorUnits } = require('./money');
+
+const RULE_FIELDS = ['spreadPercent', 'feePercent', 'fixedFee', 'minFee'];
+const ZERO_RULE = { spreadPercent: 0, feePercent: 0, fixedFee: 0, minFee: 0 };
+
+const PRICING_CONFIG_PATH = process.env.PRICING_CONFIG_PATH && process.env.PRICING_CONFIG_PATH.trim() !== ''
+  ? path.resolve(process.env.PRICING_CONFIG_PATH)
+  : path.join(__dirname, '..', 'config', 'pricing.json');
+
+// Validate one rule object; throws so a broken pricing file fails loudly at startup
+function validateRule(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Pricing rule at ${where} must be an object.`);
+  }
+  for (const [key, value] of Object.entries(rule)) {
+    if (!RULE_FIELDS.includes(key)) {
+      throw new Error(`Unknown pricing field '${key}' at ${where}.`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Pricing field '${key}' at ${where} must be a non-negative number.`);
+    }
+  }
+  if (rule.spreadPercent !== undefined && rule.spreadPercent >= 100) {
+    throw new Error(`Pricing field 'spreadPercent' at ${where} must be below 100.`);
+  }
+  return rule;
+}
+
+function validatePairs(pairs, where) {
+  const result = {};
+  for (const [pair, rule] of Object.entries(pairs || {})) {
+    if (!/^[A-Z]{3}\/[A-Z]{3}$/.test(pair)) {
+      throw new Error(`Pricing pair '${pair}' at ${where} must look like "USD/PHP".`);
+    }
+    result[pair] = validateRule(rule, `${where}.${pair}`);
+  }
+  return result;
+}
+
+/**
+ * Load and validate the pricing configuration.
+ * A missing file means no margins (appliedRate equals midRate, zero fees).
+ *
+ * @param {string} file - Path to the JSON pricing file
+ * @returns {Object} { default, pairs, clients }
+ */
+function loadPricingConfig(file = PRICING_CONFIG_PATH) {
+  let raw = process.env.PRICING_CONFIG && process.env.PRICING_CONFIG.trim() !== '' ? process.env.PRICING_CONFIG : null;
+  if (raw === null) {
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        logger.info('No pricing configuration found; quoting mid-market rates without fees', { file });
+        return { default: { ...ZERO_RULE }, pairs: {}, clients: {} };
+      }
+      throw err;
+    }
+  }
+
+  const parsed = JSON.parse(raw);
+  const clients = {};
+  for (const [client, config] of Object.entries(parsed.clients || {})) {
+    clients[client] = {
+      default: validateRule(config.default || {}, `clients.${client}.default`),
+      pairs: validatePairs(config.pairs, `clients.${client}.pairs`)
+    };
+  }
+
+  return {
+    default: { ...ZERO_RULE, ...validateRule(parsed.default || {}, 'default') },
+    pairs: validatePairs(parsed.pairs, 'pairs'),
+    clients
+  };
+}
+
+const pricingConfig = loadPricingConfig();
+
+/**
+ * Resolve the effective pricing rule for a pair and (optional) client
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {string} [client] - Authenticated username, when known
+ * @returns {Object} { spreadPercent, feePercent, fixedFee, minFee }
+ */
+function resolvePricingRule(from, to, client) {
+  const pair = `${from}/${to}`;
+  const clientConfig = client ? pricingConfig.clients[client] : null;
+  return {
+    ...pricingConfig.default,
+    ...pricingConfig.pairs[pair],
+    ...(clientConfig ? clientConfig.default : {}),
+    ...(clientConfig ? clientConfig.pairs[pair] : {})
+  };
+}
+
+/**
+ * Price a conversion: apply the spread to the mid rate, convert forward (`amount`)
+ * or in reverse (`targetAmount`), and add the fee in the source currency.
+ *
+ * @param {Object} request - { from, to, amount, targetAmount, client } with decimal strings
+ * @param {number} midRate - Mid-market rate (from -> to)
+ * @param {Object} options - Rounding options ({ rounding, cash })
+ * @returns {Object} Conversion fields plus { midRate, appliedRate, fee, totalCost, feeCurrency }
+ */
+function priceConversion({ from, to, amount, targetAmount, client }, midRate, options = {}) {
+  const rule = resolvePricingRule(from, to, client);
+  const appliedRate = from === to || rule.spreadPercent === 0
+    ? midRate
+    : new Money(midRate).mul(new Money(100).minus(rule.spreadPercent).div(100)).toSignificantDigits(12).toNumber();
+
+  const reverse = targetAmount !== null && targetAmount !== undefined;
+  const converted = convertForRequest({ from, to, amount, targetAmount }, appliedRate, options);
+
+  // The fee is charged on what the customer pays in: the amount, or the computed source amount.
+  // Rate-only requests carry no fee; a zero amount pays none (not even minFee)
+  const principal = reverse ? converted.sourceAmountDecimal : amount;
+  let fee = null;
+  let totalCost = null;
+  if (principal !== null && principal !== undefined) {
+    const percentFee = new Money(principal).mul(rule.feePercent).div(100).plus(rule.fixedFee);
+    const feeValue = new Money(principal).gt(0)
+      ? roundMoney(Money.max(percentFee, rule.minFee), from, { rounding: options.rounding })
+      : new Money(0);
+    fee = feeValue.toNumber();
+    totalCost = new Money(principal).plus(feeValue).toDecimalPlaces(getMinorUnits(from)).toNumber();
+  }
+
+  return {
+    ...converted,
+    midRate,
+    appliedRate,
+    fee,
+    totalCost,
+    feeCurrency: from
+  };
+}
+
+module.exports = {
+  PRICING_CONFIG_PATH,
+  loadPricingConfig,
+  resolvePricingRule,
+  priceConversion
+};
@@ -0,0 +1,157 @@
+/**
+ * European Central Bank Provider
+ *
+ * Keyless adapter for the ECB euro foreign exchange reference rates: the daily
+ * `eurofxref-daily.xml` for latest rates and `eurofxref-hist-90d.xml` for the
+ * last 90 business days. ECB quotes about 30 currencies against EUR; tables are
+ * rebased to the requested base (USD->JPY = EUR->JPY / EUR->USD). Bases the ECB
+ * does not quote are reported as failures so the chain moves on.
+ *
+ * ECB_DAILY_URL and ECB_HISTORY_URL accept an http(s) URL, a `file:` URL or a
+ * local path, so fixture XML can be used offline.
+ */
+
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { fetchUpstream } = require('./upstream');
+const { rebaseTable } = require('../triangulation');
+
+const ID = 'ecb';
+
+const DAILY_SOURCE = process.env.ECB_DAILY_URL || 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+const HISTORY_SOURCE = process.env.ECB_HISTORY_URL || 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist-90d.xml';
+
+// The ECB publishes once per business day (around 16:00 CET), so parsed documents are reused for a while
+const DOCUMENT_TTL_MS = Math.max(0, Number(process.env.ECB_CACHE_MS || 60 * 60 * 1000));
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const CODE_REGEX = /^[A-Z]{3}$/;
+
+// source -> { loadedAt, days } or { pending }
+const documents = new Map();
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, , value] of tag.matchAll(/([\w:]+)\s*=\s*(['"])(.*?)\2/g)) attrs[name] = value;
+  return attrs;
+}
+
+/**
+ * Parse an ECB reference rate document (daily or history)
+ *
+ * @param {string} xml - eurofxref XML
+ * @returns {Object[]} [{ date, rates: { USD: 1.165, ... } }], newest first (rates per 1 EUR)
+ * @throws {Error} When the document holds no rates
+ */
+function parseEcbXml(xml) {
+  const days = [];
+  let current = null;
+  for (const [, attrText] of String(xml).matchAll(/<Cube\b([^>]*)>/g)) {
+    const attrs = attributes(attrText);
+    if (attrs.time !== undefined) {
+      current = DATE_REGEX.test(attrs.time) ? { date: attrs.time, rates: {} } : null;
+      if (current) days.push(current);
+    } else if (current && CODE_REGEX.test(attrs.currency || '')) {
+      const rate = Number(attrs.rate);
+      if (Number.isFinite(rate) && rate > 0) current.rates[attrs.currency] = rate;
+    }
+  }
+
+  const valid = days.filter(day => Object.keys(day.rates).length > 0);
+  if (valid.length === 0) throw new Error('Unexpected upstream payload');
+  return valid.sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+// EUR-quoted rates (without EUR itself) as conversion_rates for the base, or null when not quoted
+function rebase(eurRates, base) {
+  return rebaseTable({ EUR: 1, ...eurRates }, base);
+}
+
+// Publication time of a reference date, in the upstream timestamp format
+function publishedAt(date) {
+  return new Date(`${date}T15:00:00Z`).toUTCString();
+}
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    return fetchUpstream(source, { provider: ID, as: 'text', validate: text => /<Cube\s+time=/.test(text) });
+  }
+  const file = /^file:/i.test(source) ? fileURLToPath(source) : source;
+  return fs.promises.readFile(file, 'utf8');
+}
+
+// Parsed document for a source, reloaded after DOCUMENT_TTL_MS; concurrent callers share one load
+async function loadDocument(source) {
+  const entry = documents.get(source);
+  if (entry?.days && Date.now() - entry.loadedAt < DOCUMENT_TTL_MS) return entry.days;
+  if (entry?.pending) return entry.pending;
+
+  const pending = readSource(source)
+    .then((xml) => {
+      const days = parseEcbXml(xml);
+      documents.set(source, { loadedAt: Date.now(), days });
+      return days;
+    })
+    .catch((err) => {
+      documents.delete(source);
+      throw err;
+    });
+  documents.set(source, { ...entry, pending });
+  return pending;
+}
+
+function notQuoted(base) {
+  const error = new Error(`ECB does not quote ${base}`);
+  error.code = 'BASE_NOT_QUOTED';
+  return error;
+}
+
+module.exports = {
+  id: ID,
+  name: 'European Central Bank',
+  parseEcbXml,
+
+  isConfigured() {
+    return true;
+  },
+
+  async fetchLatest(base) {
+    const [latest] = await loadDocument(DAILY_SOURCE);
+    const rates = rebase(latest.rates, base);
+    if (!rates) throw notQuoted(base);
+    return {
+      base_code: base,
+      conversion_rates: rates,
+      time_last_update_utc: publishedAt(latest.date),
+      provider: ID
+    };
+  },
+
+  /**
+   * Rates tables for the last 90 business days, newest first
+   *
+   * @param {string} base - Base currency code
+   * @returns {Promise<Object[]>} [{ base_code, conversion_rates, time_last_update_utc, provider }]
+   */
+  async fetchHistory(base) {
+    const days = await loadDocument(HISTORY_SOURCE);
+    const tables = days.map(day => ({ day, rates: rebase(day.rates, base) })).filter(entry => entry.rates);
+    if (tables.length === 0) throw notQuoted(base);
+    return tables.map(({ day, rates }) => ({
+      base_code: base,
+      conversion_rates: rates,
+      time_last_update_utc: publishedAt(day.date),
+      provider: ID
+    }));
+  },
+
+  async listSupportedCodes() {
+    const [latest] = await loadDocument(DAILY_SOURCE);
+    return ['EUR', ...Object.keys(latest.rates)].sort();
+  },
+
+  // Free and unmetered
+  async getQuota() {
+    return null;
+  }
+};
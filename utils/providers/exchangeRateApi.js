@@ -0,0 +1,58 @@
+/**
+ * ExchangeRate-API Provider
+ *
+ * Adapter for https://www.exchangerate-api.com (v6). Its `latest/<BASE>` payload
+ * already uses the internal rates-table shape, so it is passed through with
+ * only the provider id added. Requires EXCHANGE_RATE_API_KEY.
+ */
+
+const { fetchUpstream } = require('./upstream');
+
+const ID = 'exchangerate-api';
+const EXCHANGE_API_BASE = 'https://v6.exchangerate-api.com/v6';
+
+function apiUrl(path) {
+  return `${EXCHANGE_API_BASE}/${encodeURIComponent(process.env.EXCHANGE_RATE_API_KEY)}/${path}`;
+}
+
+const isSuccess = data => data?.result === 'success';
+
+module.exports = {
+  id: ID,
+  name: 'ExchangeRate-API',
+
+  isConfigured() {
+    return Boolean(process.env.EXCHANGE_RATE_API_KEY);
+  },
+
+  async fetchLatest(base) {
+    const data = await fetchUpstream(apiUrl(`latest/${encodeURIComponent(base)}`), {
+      provider: ID,
+      baseCurrency: base,
+      validate: payload => isSuccess(payload) && Boolean(payload.conversion_rates)
+    });
+    return {
+      base_code: data.base_code || base,
+      conversion_rates: data.conversion_rates,
+      time_last_update_utc: data.time_last_update_utc || null,
+      provider: ID
+    };
+  },
+
+  async listSupportedCodes() {
+    const data = await fetchUpstream(apiUrl('codes'), {
+      provider: ID,
+      validate: payload => isSuccess(payload) && Array.isArray(payload.supported_codes)
+    });
+    return data.supported_codes.map(([code]) => code);
+  },
+
+  async getQuota() {
+    const data = await fetchUpstream(apiUrl('quota'), { provider: ID, validate: isSuccess });
+    return {
+      limit: data.plan_quota ?? null,
+      remaining: data.requests_remaining ?? null,
+      resetsOnDayOfMonth: data.refresh_day_of_month ?? null
+    };
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * Rate Providers and Failover Chain
+ *
+ * Every upstream rate source is an adapter with the same interface:
+ *
+ *   id                    Short identifier, reported as the response `source`
+ *   name                  Display name
+ *   isConfigured()        False when required settings (e.g. an API key) are missing
+ *   fetchLatest(base)     Promise of the rates table for a base:
+ *                         { base_code, conversion_rates, time_last_update_utc, provider };
+ *                         rejects with code BASE_NOT_QUOTED for bases it does not cover
+ *   listSupportedCodes()  Promise of the ISO 4217 codes the provider quotes
+ *   getQuota()            Promise of { limit, remaining, ... }, or null when unmetered
+ *   fetchHistory(base)    Optional: promise of past rates tables, newest first
+ *
+ * RATE_PROVIDERS lists provider ids in failover order (default: exchangerate-api).
+ * fetchLatestRates() asks each configured provider in turn and returns the first
+ * answer; only when all of them fail does the caller fall back to cached tables
+ * and the static fallback table.
+ */
+
+const { logger } = require('../logger');
+const exchangeRateApi = require('./exchangeRateApi');
+const ecb = require('./ecb');
+
+// Known adapters by id
+const PROVIDERS = new Map([exchangeRateApi, ecb].map(provider => [provider.id, provider]));
+
+// ECB is opt-in (RATE_PROVIDERS=exchangerate-api,ecb): it needs no key, so in the
+// default chain a deployment without EXCHANGE_RATE_API_KEY would call out
+// instead of answering from the fallback table only
+const DEFAULT_CHAIN = 'exchangerate-api';
+
+// Configured order; unknown ids are reported once at startup and skipped
+const CHAIN = String(process.env.RATE_PROVIDERS || DEFAULT_CHAIN)
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean)
+  .filter((id, index, ids) => ids.indexOf(id) === index);
+
+const unknown = CHAIN.filter(id => !PROVIDERS.has(id));
+if (unknown.length > 0) {
+  logger.warn('Unknown rate providers in RATE_PROVIDERS are ignored', { unknown, known: [...PROVIDERS.keys()] });
+}
+
+// provider id -> { lastSuccessAt, lastFailureAt, lastError, consecutiveFailures }
+const status = new Map();
+
+// Unquoted bases are not counted as provider failures
+function recordOutcome(id, error) {
+  if (error && error.code === 'BASE_NOT_QUOTED') return;
+  const entry = status.get(id) || { lastSuccessAt: null, lastFailureAt: null, lastError: null, consecutiveFailures: 0 };
+  if (error) {
+    entry.lastFailureAt = new Date().toISOString();
+    entry.lastError = error.message || String(error);
+    entry.consecutiveFailures += 1;
+  } else {
+    entry.lastSuccessAt = new Date().toISOString();
+    entry.consecutiveFailures = 0;
+  }
+  status.set(id, entry);
+}
+
+/**
+ * Configured providers in failover order
+ *
+ * @returns {Object[]} Provider adapters
+ */
+function getProviderChain() {
+  return CHAIN.map(id => PROVIDERS.get(id)).filter(provider => provider && provider.isConfigured());
+}
+
+/**
+ * True when at least one provider in the chain is configured
+ *
+ * @returns {boolean}
+ */
+function hasProviders() {
+  return getProviderChain().length > 0;
+}
+
+/**
+ * True for ids of known providers (used to recognise live `source` values)
+ *
+ * @param {string} id - Candidate provider id
+ * @returns {boolean}
+ */
+function isProviderId(id) {
+  return PROVIDERS.has(id);
+}
+
+/**
+ * Fetch the latest rates for a base from the first provider that answers
+ *
+ * @param {string} base - Base currency code
+ * @returns {Promise<Object>} Rates table; `provider` names the provider that answered
+ * @throws {Error} When no provider is configured or every provider failed; `failures`
+ *   lists them, and `code` is BASE_NOT_QUOTED when no provider covers the base
+ */
+async function fetchLatestRates(base) {
+  const chain = getProviderChain();
+  if (chain.length === 0) throw new Error('No rate provider is configured');
+
+  const failures = [];
+  for (const provider of chain) {
+    try {
+      const data = await provider.fetchLatest(base);
+      recordOutcome(provider.id, null);
+      if (failures.length > 0) {
+        logger.warn('Rate provider failover', { baseCurrency: base, failed: failures.map(f => f.provider), answeredBy: provider.id });
+      }
+      return data;
+    } catch (err) {
+      recordOutcome(provider.id, err);
+      failures.push({ provider: provider.id, error: err.message, ...(err.code ? { code: err.code } : {}) });
+    }
+  }
+
+  const error = new Error(`All rate providers failed: ${failures.map(f => `${f.provider} (${f.error})`).join(', ')}`);
+  error.failures = failures;
+  if (failures.every(f => f.code === 'BASE_NOT_QUOTED')) error.code = 'BASE_NOT_QUOTED';
+  throw error;
+}
+
+/**
+ * Past rates tables for a base from the first provider in the chain that keeps history
+ *
+ * @param {string} base - Base currency code
+ * @returns {Promise<Object[]>} Rates tables, newest first; empty when no provider has history for the base
+ */
+async function fetchHistory(base) {
+  for (const provider of getProviderChain().filter(p => typeof p.fetchHistory === 'function')) {
+    try {
+      const tables = await provider.fetchHistory(base);
+      recordOutcome(provider.id, null);
+      return tables;
+    } catch (err) {
+      recordOutcome(provider.id, err);
+      logger.warn('Rate history unavailable from provider', { provider: provider.id, baseCurrency: base, error: err.message });
+    }
+  }
+  return [];
+}
+
+/**
+ * Chain order with configuration and recent outcome per provider
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.quota=false] - Also ask each configured provider for its quota
+ * @returns {Promise<Object[]>} [{ id, name, position, configured, lastSuccessAt, ..., quota? }]
+ */
+async function describeProviders({ quota = false } = {}) {
+  return Promise.all(CHAIN.filter(id => PROVIDERS.has(id)).map(async (id, position) => {
+    const provider = PROVIDERS.get(id);
+    const configured = provider.isConfigured();
+    const entry = {
+      id,
+      name: provider.name,
+      position: position + 1,
+      configured,
+      ...(status.get(id) || { lastSuccessAt: null, lastFailureAt: null, lastError: null, consecutiveFailures: 0 })
+    };
+    if (quota && configured) {
+      try {
+        entry.quota = await provider.getQuota();
+      } catch (err) {
+        entry.quota = null;
+        entry.quotaError = err.message;
+      }
+    }
+    return entry;
+  }));
+}
+
+/**
+ * `GET /api/providers`: the failover chain with recent outcomes, and quotas on request
+ *
+ * @param {Object} query - Raw query parameters ({ quota?: 'true' })
+ * @returns {Promise<Object>} { status, body } (body without correlationId)
+ */
+async function getProvidersReport(query = {}) {
+  const unexpected = Object.keys(query).find(k => k !== 'quota');
+  if (unexpected) return { status: 400, body: { success: false, error: `Unexpected parameter '${unexpected}'.` } };
+  if (query.quota !== undefined && !['true', 'false'].includes(String(query.quota))) {
+    return { status: 400, body: { success: false, error: '"quota" must be true or false.' } };
+  }
+  const providers = await describeProviders({ quota: String(query.quota) === 'true' });
+  return { status: 200, body: { success: true, chain: providers.map(p => p.id), providers } };
+}
+
+module.exports = {
+  PROVIDERS,
+  getProviderChain,
+  hasProviders,
+  isProviderId,
+  fetchLatestRates,
+  fetchHistory,
+  describeProviders,
+  getProvidersReport
+};
@@ -0,0 +1,107 @@
+/**
+ * Upstream HTTP for Rate Providers
+ *
+ * Shared request helper for provider adapters: per-attempt timeout and a small
+ * retry with backoff for transient failures (network, timeout, 429/5xx and
+ * payloads that fail validation). Response bodies of failed requests are logged
+ * for debugging but never exposed to clients. fetchWithTimeout is also used for
+ * other outbound requests (alert webhooks, the KV cache store) that handle
+ * retries themselves.
+ */
+
+const { logger } = require('../logger');
+
+// Upstream timeout (ms). Default 8 seconds; override via UPSTREAM_TIMEOUT_MS
+const TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS || 8000);
+
+// Retry count for transient failures (429/5xx/network). Default 1 retry
+const RETRIES = Number(process.env.UPSTREAM_RETRIES || 1);
+
+const nodeFetch = (...args) => import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
+
+// Use global fetch if available; fall back to node-fetch (ESM) for older runtimes.
+// Requests with an http(s) `agent` always use node-fetch: global fetch ignores it
+const fetcher = (url, init = {}) => ((typeof fetch !== 'undefined' && !init.agent) ? fetch(url, init) : nodeFetch(url, init));
+
+/**
+ * Fetch with a timeout (aborts with an AbortError)
+ *
+ * @param {string} url - Request URL
+ * @param {number} ms - Timeout
+ * @param {Object} [init] - fetch options (method, headers, body, redirect, agent, ...)
+ * @returns {Promise<Response>} Response of any status
+ */
+async function fetchWithTimeout(url, ms, init = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  try {
+    return await fetcher(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * GET an upstream document with timeout and retries
+ *
+ * @param {string} url - Request URL (may contain an API key; never logged)
+ * @param {Object} options
+ * @param {string} options.provider - Provider id, for logs
+ * @param {string} [options.baseCurrency] - Base currency, for logs
+ * @param {string} [options.as='json'] - Parse the body as 'json' or 'text'
+ * @param {Function} [options.validate] - (parsed) => boolean; invalid payloads are retried
+ * @returns {Promise<*>} Parsed body
+ */
+async function fetchUpstream(url, { provider, baseCurrency, as = 'json', validate = () => true }) {
+  let attempt = 0;
+  let lastErr = null;
+
+  while (attempt <= RETRIES) {
+    try {
+      const res = await fetchWithTimeout(url, TIMEOUT_MS);
+      if (!res.ok) {
+        const body = await res.text().catch(() => '<unavailable>');
+        // Log upstream details for debugging (never exposed to the client, key redacted)
+        logger.error('Upstream non-OK', {
+          provider,
+          status: res.status,
+          statusText: res.statusText,
+          baseCurrency,
+          body: body.slice(0, 2000)
+        });
+        // Treat 4xx as non-retryable except 429
+        const retryable = res.status >= 500 || res.status === 429;
+        if (!retryable || attempt === RETRIES) {
+          throw new Error(`Upstream status ${res.status}`);
+        }
+      } else {
+        const data = as === 'text' ? await res.text() : await res.json();
+        if (!validate(data)) {
+          throw new Error('Unexpected upstream payload');
+        }
+        return data; // success
+      }
+    } catch (err) {
+      lastErr = err;
+      // Retry only for network/timeout/5xx/429; otherwise break
+      const msg = (err && err.message) || String(err);
+      const isAbort = err && err.name === 'AbortError';
+      const retryable = isAbort || /status (5\d\d|429)/.test(msg) || /Unexpected upstream payload/.test(msg);
+      if (!retryable || attempt === RETRIES) {
+        break;
+      }
+      // small backoff
+      const delayMs = 200 * Math.pow(2, attempt);
+      await new Promise(r => setTimeout(r, delayMs));
+    }
+    attempt++;
+  }
+
+  throw lastErr || new Error('Upstream fetch failed');
+}
+
+module.exports = {
+  TIMEOUT_MS,
+  fetchWithTimeout,
+  fetchUpstream
+};
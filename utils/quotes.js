@@ -0,0 +1,181 @@
+/**
+ * Rate Quotes with Rate Lock
+ *
+ * A quote locks the priced rate for a short window (QUOTE_TTL_SECONDS, default 60)
+ * so checkout flows can show a price and confirm it later at exactly that rate.
+ * Quotes belong to the user who created them; every create/accept/reject is
+ * recorded as a SIEM audit event.
+ *
+ * Note: quotes live in process memory, so they do not survive restarts.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logSiemEvent } = require('./siem');
+const { convert } = require('./conversionService');
+const { rateUnavailable } = require('./ratePolicy');
+
+const QUOTE_TTL_MS = Math.max(1, Number(process.env.QUOTE_TTL_SECONDS || 60)) * 1000;
+
+// Settled and expired quotes are kept this long for GET lookups, then dropped
+const QUOTE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Fields of a stored quote that are returned to its owner; anything else
+// (e.g. the owner's username) stays internal
+const PUBLIC_FIELDS = [
+  'id', 'createdAt', 'acceptedAt', 'from', 'to', 'rate', 'midRate', 'appliedRate',
+  'direction', 'amount', 'targetAmount', 'convertedAmount', 'convertedAmountDecimal',
+  'sourceAmount', 'sourceAmountDecimal', 'minorUnits', 'rounding', 'fee', 'totalCost',
+  'feeCurrency', 'lastUpdated', 'source', 'derived', 'path', 'stale', 'confidence'
+];
+
+// quote id -> quote
+const quotes = new Map();
+
+function pruneQuotes(now) {
+  for (const [id, quote] of quotes) {
+    if (quote.expiresAt + QUOTE_RETENTION_MS <= now) quotes.delete(id);
+  }
+}
+
+// Public view of a stored quote (expiry is evaluated lazily)
+function toView(quote, now = Date.now()) {
+  const status = quote.status === 'open' && quote.expiresAt <= now ? 'expired' : quote.status;
+  const view = {};
+  PUBLIC_FIELDS.forEach((field) => {
+    if (quote[field] !== undefined) view[field] = quote[field];
+  });
+  return {
+    ...view,
+    status,
+    expiresAt: new Date(quote.expiresAt).toISOString(),
+    expiresInSeconds: status === 'open' ? Math.ceil((quote.expiresAt - now) / 1000) : 0
+  };
+}
+
+function quoteNotFound(id) {
+  return { status: 404, body: { success: false, code: 'QUOTE_NOT_FOUND', error: `Quote ${id} was not found.` } };
+}
+
+// Look up a quote owned by the user; other users' quotes are reported as not found
+function findQuote(id, username) {
+  if (!UUID_REGEX.test(String(id))) return null;
+  const quote = quotes.get(String(id));
+  return quote && quote.username === username ? quote : null;
+}
+
+/**
+ * Create a quote: price the conversion now and lock the rate until expiry
+ *
+ * @param {Object} params - { from, to, amount | targetAmount, rounding?, cash? }
+ * @param {Object} context - { req, correlationId, client } (client is the owner)
+ * @returns {Promise<Object>} { status, headers?, body }
+ */
+async function createQuote(params, { req = null, correlationId = null, client } = {}) {
+  const input = params && typeof params === 'object' && !Array.isArray(params) ? params : {};
+  if (Object.prototype.hasOwnProperty.call(input, 'date') || String(input.to || '').includes(',')) {
+    return { status: 400, body: { success: false, error: 'Quotes are for a single "to" currency at the current rate.' } };
+  }
+  if (input.amount === undefined && input.targetAmount === undefined) {
+    return { status: 400, body: { success: false, error: 'A quote needs an "amount" or a "targetAmount".' } };
+  }
+
+  const result = await convert(input, { req, correlationId, client });
+  if (result.status !== 200) return result;
+
+  const { success, ...conversion } = result.body;
+  // Illustrative fallback rates are never locked in
+  if (conversion.source === 'fallback') {
+    logSiemEvent('QUOTE_REJECTED', {
+      reason: 'Only fallback rates available',
+      from: conversion.from,
+      to: conversion.to,
+      username: client
+    }, req, correlationId);
+    return rateUnavailable(conversion.from, conversion.to);
+  }
+
+  const now = Date.now();
+  pruneQuotes(now);
+  const quote = {
+    id: uuidv4(),
+    username: client,
+    status: 'open',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + QUOTE_TTL_MS,
+    ...conversion
+  };
+  quotes.set(quote.id, quote);
+
+  logSiemEvent('QUOTE_CREATED', {
+    quoteId: quote.id,
+    username: client,
+    from: quote.from,
+    to: quote.to,
+    rate: quote.rate,
+    appliedRate: quote.appliedRate,
+    amount: quote.amount ?? null,
+    targetAmount: quote.targetAmount ?? null,
+    source: quote.source
+  }, req, correlationId);
+
+  return { status: 201, body: { success: true, quote: toView(quote, now) } };
+}
+
+/**
+ * Get a quote owned by the user
+ *
+ * @param {string} id - Quote id
+ * @param {Object} context - { client }
+ * @returns {Object} { status, body }
+ */
+function getQuote(id, { client } = {}) {
+  const quote = findQuote(id, client);
+  if (!quote) return quoteNotFound(id);
+  return { status: 200, body: { success: true, quote: toView(quote) } };
+}
+
+/**
+ * Accept a quote at its locked rate, or reject it once expired
+ *
+ * @param {string} id - Quote id
+ * @param {Object} context - { req, correlationId, client }
+ * @returns {Object} { status, body }
+ */
+function acceptQuote(id, { req = null, correlationId = null, client } = {}) {
+  const quote = findQuote(id, client);
+  if (!quote) {
+    logSiemEvent('QUOTE_REJECTED', { reason: 'Quote not found', quoteId: String(id).slice(0, 64), username: client }, req, correlationId);
+    return quoteNotFound(id);
+  }
+
+  const now = Date.now();
+  if (quote.status === 'accepted') {
+    return { status: 409, body: { success: false, code: 'QUOTE_ALREADY_ACCEPTED', error: 'This quote has already been accepted.', quote: toView(quote, now) } };
+  }
+  if (quote.status === 'expired' || quote.expiresAt <= now) {
+    quote.status = 'expired';
+    logSiemEvent('QUOTE_REJECTED', { reason: 'Quote expired', quoteId: quote.id, username: client }, req, correlationId);
+    return { status: 410, body: { success: false, code: 'QUOTE_EXPIRED', error: 'This quote has expired. Please request a new quote.', quote: toView(quote, now) } };
+  }
+
+  quote.status = 'accepted';
+  quote.acceptedAt = new Date(now).toISOString();
+  logSiemEvent('QUOTE_ACCEPTED', {
+    quoteId: quote.id,
+    username: client,
+    from: quote.from,
+    to: quote.to,
+    appliedRate: quote.appliedRate
+  }, req, correlationId);
+
+  return { status: 200, body: { success: true, quote: toView(quote, now) } };
+}
+
+module.exports = {
+  QUOTE_TTL_MS,
+  createQuote,
+  getQuote,
+  acceptQuote
+};
@@ -0,0 +1,83 @@
+/**
+ * Rate Refresh Events
+ *
+ * Every time fresh upstream rates for a base are cached, a `rates` event is
+ * published here with a process-wide, increasing id. Live feeds (SSE, WebSocket)
+ * subscribe to the emitter, and a short per-base history lets reconnecting
+ * clients resume from the last id they saw.
+ */
+
+const EventEmitter = require('events');
+
+// Events kept per base for resuming clients
+const HISTORY_SIZE = Math.max(1, Number(process.env.RATE_EVENT_HISTORY || 100));
+
+const rateEvents = new EventEmitter();
+// One listener per open stream or socket
+rateEvents.setMaxListeners(0);
+
+// base -> recent events (oldest first)
+const history = new Map();
+// base -> id of the newest event dropped from the history
+const droppedUpTo = new Map();
+let sequence = 0;
+
+/**
+ * Publish freshly cached rates for a base
+ *
+ * @param {string} base - Base currency code
+ * @param {Object} payload - Upstream payload ({ conversion_rates, time_last_update_utc })
+ * @returns {Object} The published event { id, base, rates, lastUpdated, refreshedAt }
+ */
+function publishRates(base, payload) {
+  sequence += 1;
+  const event = {
+    id: sequence,
+    base,
+    rates: payload.conversion_rates,
+    lastUpdated: payload.time_last_update_utc || null,
+    refreshedAt: new Date().toISOString()
+  };
+
+  if (!history.has(base)) history.set(base, []);
+  const events = history.get(base);
+  events.push(event);
+  if (events.length > HISTORY_SIZE) droppedUpTo.set(base, events.shift().id);
+
+  rateEvents.emit('rates', event);
+  return event;
+}
+
+/**
+ * Most recent event for a base
+ *
+ * @param {string} base - Base currency code
+ * @returns {Object|null} Event or null when the base was never refreshed
+ */
+function latestEvent(base) {
+  const events = history.get(base);
+  return events && events.length ? events[events.length - 1] : null;
+}
+
+/**
+ * Events for a base published after `lastId`
+ *
+ * @param {string} base - Base currency code
+ * @param {number} lastId - Last event id the client received
+ * @returns {Object} { events, complete } (complete is false when events after lastId may be missing)
+ */
+function eventsSince(base, lastId) {
+  const events = history.get(base) || [];
+  return {
+    events: events.filter(event => event.id > lastId),
+    // Ids from before a restart are unknown to this process
+    complete: lastId <= sequence && (droppedUpTo.get(base) || 0) <= lastId
+  };
+}
+
+module.exports = {
+  rateEvents,
+  publishRates,
+  latestEvent,
+  eventsSince
+};
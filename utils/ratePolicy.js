@@ -0,0 +1,79 @@
+/**
+ * Fallback Rate Policy
+ *
+ * Decides how much a served rate can be trusted and what to answer when no
+ * trustworthy rate exists. Every rate response carries a `confidence` level and a
+ * `stale` flag; when nothing can be served the API returns a degraded-service
+ * error with the machine-readable code RATE_UNAVAILABLE instead of inventing a rate.
+ */
+
+const { isProviderId } = require('./providers');
+
+const RATE_UNAVAILABLE = 'RATE_UNAVAILABLE';
+
+// Upstream tables older than this are flagged as stale (ExchangeRate-API publishes daily)
+const STALE_AFTER_MS = Math.max(1, Number(process.env.RATE_STALE_AFTER_HOURS || 36)) * 60 * 60 * 1000;
+
+// Suggested client back-off for RATE_UNAVAILABLE responses (Retry-After header)
+const RETRY_AFTER_SECONDS = Math.max(1, Number(process.env.RATE_UNAVAILABLE_RETRY_AFTER_SECONDS || 60));
+
+// Baseline confidence per rate source; pivot-derived and stale rates each drop one level.
+// Live answers name their provider (see providers/) and start at high as well.
+const SOURCE_CONFIDENCE = {
+  cache: 'high',
+  'cache-fallback': 'medium',
+  fallback: 'low'
+};
+const LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Assess the staleness and confidence of a served rate
+ *
+ * @param {Object} params
+ * @param {string} params.source - Where the rate came from (provider id, cache, cache-fallback, fallback)
+ * @param {string} [params.lastUpdated] - Timestamp of the rates table
+ * @param {boolean} [params.derived] - True when the rate was triangulated through a pivot
+ * @returns {Object} { stale, confidence }
+ */
+function assessRate({ source, lastUpdated, derived = false }) {
+  // The static fallback table is illustrative data and is always considered stale
+  let stale = source === 'fallback';
+  if (!stale && lastUpdated) {
+    const published = new Date(lastUpdated).getTime();
+    stale = !Number.isNaN(published) && Date.now() - published > STALE_AFTER_MS;
+  }
+
+  let level = LEVELS.indexOf(SOURCE_CONFIDENCE[source] || (isProviderId(source) ? 'high' : 'low'));
+  if (derived) level -= 1;
+  if (stale) level -= 1;
+
+  return { stale, confidence: LEVELS[Math.max(0, level)] };
+}
+
+/**
+ * Build the degraded-service error returned when no trustworthy rate exists
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @returns {Object} { status, headers, body } (body without correlationId)
+ */
+function rateUnavailable(from, to) {
+  return {
+    status: 503,
+    headers: { 'Retry-After': String(RETRY_AFTER_SECONDS) },
+    body: {
+      success: false,
+      code: RATE_UNAVAILABLE,
+      degraded: true,
+      error: `Exchange rate from ${from} to ${to} is temporarily unavailable. Please try again later.`
+    }
+  };
+}
+
+module.exports = {
+  RATE_UNAVAILABLE,
+  STALE_AFTER_MS,
+  RETRY_AFTER_SECONDS,
+  assessRate,
+  rateUnavailable
+};
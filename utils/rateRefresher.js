@@ -0,0 +1,155 @@
+/**
+ * Background Rate Refresher
+ *
+ * Keeps the rate cache warm so conversions never wait on the upstream: one
+ * reference base (RATE_REFRESH_BASE, default USD) is fetched from the provider
+ * chain every RATE_REFRESH_INTERVAL_MS (default: 80% of the cache TTL, i.e.
+ * before entries expire), and the table of every other currency it quotes is
+ * derived from it (JPY→X = USD→X / USD→JPY) and cached as well. One upstream
+ * call per interval thus covers every base.
+ *
+ * Derived bases are announced to live feeds only while watched. Only the
+ * reference base is recorded as a daily snapshot (by fetchRates); historical
+ * readers rebase it for other bases. Status is reported by `/api/health`.
+ * Express server only: serverless functions keep no timers.
+ */
+
+const { logger, logError } = require('./logger');
+const { CACHE_TTL, fetchRates, writeToCache } = require('./conversionService');
+const { rebaseTable } = require('./triangulation');
+const { isWatched } = require('./rateWatch');
+const { hasProviders } = require('./providers');
+
+const ENABLED = String(process.env.RATE_REFRESHER_ENABLED || 'true').toLowerCase() !== 'false';
+const REFRESH_BASE = String(process.env.RATE_REFRESH_BASE || 'USD').trim().toUpperCase();
+const INTERVAL_MS = Math.max(1000, Number(process.env.RATE_REFRESH_INTERVAL_MS || CACHE_TTL * 0.8));
+
+// After a failure, retry sooner so the cache can still be warmed before it expires
+const RETRY_MS = Math.min(INTERVAL_MS, 30 * 1000);
+
+const state = {
+  running: false,
+  lastAttemptAt: null,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  consecutiveFailures: 0,
+  provider: null,
+  lastUpdated: null,
+  derivedBases: 0,
+  nextRefreshAt: null
+};
+
+let timer = null;
+
+/**
+ * Fetch the reference base and cache it together with every derived base
+ *
+ * @returns {Promise<boolean>} True when the refresh succeeded
+ */
+async function refreshNow() {
+  state.lastAttemptAt = new Date().toISOString();
+  try {
+    // Caches the reference base, records its snapshot and publishes its event
+    const data = await fetchRates(REFRESH_BASE);
+
+    let derived = 0;
+    Object.keys(data.conversion_rates).forEach((base) => {
+      if (base === REFRESH_BASE) return;
+      const rates = rebaseTable(data.conversion_rates, base);
+      if (!rates) return;
+      const payload = {
+        base_code: base,
+        conversion_rates: rates,
+        time_last_update_utc: data.time_last_update_utc,
+        provider: data.provider,
+        derivedFrom: REFRESH_BASE
+      };
+      // Events for all ~160 bases every interval would only fill the event history;
+      // derived tables are not persisted since they are re-derived through the pivots
+      writeToCache(base, payload, { publish: isWatched(base), persist: false });
+      derived += 1;
+    });
+
+    Object.assign(state, {
+      lastSuccessAt: new Date().toISOString(),
+      lastError: null,
+      consecutiveFailures: 0,
+      provider: data.provider,
+      lastUpdated: data.time_last_update_utc || null,
+      derivedBases: derived
+    });
+    return true;
+  } catch (err) {
+    state.lastFailureAt = new Date().toISOString();
+    state.lastError = err.message;
+    state.consecutiveFailures += 1;
+    logError(err, { component: 'rateRefresher', baseCurrency: REFRESH_BASE, consecutiveFailures: state.consecutiveFailures });
+    return false;
+  }
+}
+
+function schedule(delay) {
+  state.nextRefreshAt = new Date(Date.now() + delay).toISOString();
+  timer = setTimeout(async () => {
+    const ok = await refreshNow();
+    if (state.running) schedule(ok ? INTERVAL_MS : RETRY_MS);
+  }, delay);
+  timer.unref();
+}
+
+/**
+ * Start refreshing in the background (no-op when disabled or already running)
+ *
+ * @returns {boolean} True when the refresher is running
+ */
+function startRateRefresher() {
+  if (state.running) return true;
+  if (!ENABLED) {
+    logger.info('Background rate refresher disabled (RATE_REFRESHER_ENABLED=false)');
+    return false;
+  }
+  if (!hasProviders()) {
+    logger.warn('Background rate refresher not started: no rate provider is configured');
+    return false;
+  }
+  state.running = true;
+  logger.info('Background rate refresher started', { base: REFRESH_BASE, intervalMs: INTERVAL_MS, cacheTtlMs: CACHE_TTL });
+  schedule(0);
+  return true;
+}
+
+/**
+ * Stop the background refresher
+ */
+function stopRateRefresher() {
+  state.running = false;
+  clearTimeout(timer);
+  state.nextRefreshAt = null;
+}
+
+/**
+ * Refresher status for health checks. `healthy` is true only while the
+ * refresher is running, its last refresh succeeded and that success is younger
+ * than the cache TTL; `enabled` tells a refresher switched off by configuration
+ * apart from one that stopped or never started.
+ *
+ * @returns {Object} Status snapshot
+ */
+function getRefresherStatus() {
+  const age = state.lastSuccessAt ? Date.now() - new Date(state.lastSuccessAt).getTime() : null;
+  return {
+    enabled: ENABLED,
+    base: REFRESH_BASE,
+    intervalMs: INTERVAL_MS,
+    ...state,
+    healthy: state.running && state.consecutiveFailures === 0 && age !== null && age <= CACHE_TTL
+  };
+}
+
+module.exports = {
+  refreshNow,
+  startRateRefresher,
+  stopRateRefresher,
+  getRefresherStatus
+};
@@ -0,0 +1,361 @@
+/**
+ * Daily Rate Snapshot Store
+ *
+ * Records every upstream `conversion_rates` payload per base currency per UTC day
+ * as JSON on disk, so historical conversions (`date=YYYY-MM-DD`) survive restarts.
+ *
+ * Layout: <RATE_SNAPSHOT_DIR>/<BASE>/<YYYY-MM-DD>.json
+ *
+ * Only fetched bases are recorded. Readers answer other bases from a pivot
+ * currency's snapshot of the same day, rebased (JPY->X = USD->X / USD->JPY)
+ * and marked with `derivedFrom`.
+ *
+ * Days that were never captured are back-filled from providers that keep
+ * history (the ECB 90-day reference rates), at most once per base per
+ * SNAPSHOT_BACKFILL_INTERVAL_MS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { logger, _internal: { isCloudDeployment } } = require('./logger');
+const { fetchHistory } = require('./providers');
+const { priceConversion } = require('./pricing');
+const { PIVOTS, resolveRate, rebaseTable, throughRebase, derivationFields } = require('./triangulation');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const BASE_REGEX = /^[A-Z]{3}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What to do when the requested day was never captured:
+// - `exact`         : fail with SNAPSHOT_NOT_FOUND
+// - `nearest-prior` : answer from the closest earlier snapshot within the lookback window
+const DATE_POLICY = process.env.SNAPSHOT_DATE_POLICY === 'exact' ? 'exact' : 'nearest-prior';
+const MAX_LOOKBACK_DAYS = Math.max(0, Number(process.env.SNAPSHOT_MAX_LOOKBACK_DAYS || 7));
+
+// Minimum time between history back-fills for the same base
+const BACKFILL_INTERVAL_MS = Math.max(0, Number(process.env.SNAPSHOT_BACKFILL_INTERVAL_MS || 60 * 60 * 1000));
+
+// base -> time of the last back-fill attempt
+const backfilledAt = new Map();
+
+// Snapshot directory: explicit env var, local ./data when not cloud, temp dir on cloud
+function getSnapshotDir() {
+  if (process.env.RATE_SNAPSHOT_DIR && process.env.RATE_SNAPSHOT_DIR.trim() !== '') {
+    return process.env.RATE_SNAPSHOT_DIR;
+  }
+  if (!isCloudDeployment) {
+    return path.join(__dirname, '..', 'data', 'rate-snapshots');
+  }
+  return path.join(os.tmpdir(), 'currency-rate-snapshots');
+}
+
+const SNAPSHOT_DIR = getSnapshotDir();
+
+/**
+ * Format a Date as a UTC calendar day (YYYY-MM-DD)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} UTC day
+ */
+function toUtcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a YYYY-MM-DD string as a real calendar day
+ *
+ * @param {string} value - Candidate date
+ * @returns {boolean} True when the string is a valid calendar day
+ */
+function isValidDay(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && toUtcDay(parsed) === value;
+}
+
+// The UTC day a payload's rates belong to (upstream publish time, else now)
+function payloadDay(payload) {
+  const published = payload?.time_last_update_utc ? new Date(payload.time_last_update_utc) : null;
+  return published && !Number.isNaN(published.getTime()) ? toUtcDay(published) : toUtcDay(new Date());
+}
+
+function snapshotPath(base, day) {
+  return path.join(SNAPSHOT_DIR, base, `${day}.json`);
+}
+
+// Snapshot writes started by this process, so every write gets its own temp file
+let snapshotWrites = 0;
+
+/**
+ * Record an upstream payload as the snapshot for its base and UTC day.
+ * The latest payload of the day wins. Failures are logged, never thrown.
+ *
+ * @param {string} base - Base currency code
+ * @param {Object} payload - Upstream payload with `conversion_rates`
+ * @returns {Promise<string|null>} The snapshot day written, or null on failure
+ */
+async function recordSnapshot(base, payload) {
+  if (!BASE_REGEX.test(base) || !payload?.conversion_rates) return null;
+
+  const day = payloadDay(payload);
+  const file = snapshotPath(base, day);
+  const snapshot = {
+    base,
+    date: day,
+    capturedAt: new Date().toISOString(),
+    lastUpdated: payload.time_last_update_utc || null,
+    conversion_rates: payload.conversion_rates
+  };
+
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // Write to a temp file then rename so readers never see a partial snapshot;
+    // concurrent writers (refresher, back-fill, requests) each use their own temp file
+    snapshotWrites += 1;
+    const tmp = `${file}.${process.pid}.${snapshotWrites}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+    await fs.promises.rename(tmp, file);
+    return day;
+  } catch (err) {
+    logger.warn('Rate snapshot could not be written', { base, day, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * List the days captured for a base currency, oldest first
+ *
+ * @param {string} base - Base currency code
+ * @returns {Promise<string[]>} Captured days (YYYY-MM-DD)
+ */
+async function listSnapshotDays(base) {
+  if (!BASE_REGEX.test(base)) return [];
+  try {
+    const files = await fs.promises.readdir(path.join(SNAPSHOT_DIR, base));
+    return files
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -5))
+      .filter(isValidDay)
+      .sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('Rate snapshots could not be listed', { base, error: err.message });
+    }
+    return [];
+  }
+}
+
+/**
+ * Read the snapshot captured for an exact base and day
+ *
+ * @param {string} base - Base currency code
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Snapshot or null when not captured
+ */
+async function readSnapshot(base, day) {
+  if (!BASE_REGEX.test(base) || !isValidDay(day)) return null;
+  try {
+    const raw = await fs.promises.readFile(snapshotPath(base, day), 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('Rate snapshot could not be read', { base, day, error: err.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Read the snapshot of a base and day, else the first pivot's snapshot of that
+ * day rebased to the base (with `derivedFrom` set to the pivot)
+ *
+ * @param {string} base - Base currency code
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Snapshot or null when neither was captured
+ */
+async function readDaySnapshot(base, day) {
+  const own = await readSnapshot(base, day);
+  if (own) return own;
+  for (const pivot of PIVOTS.filter(p => p !== base)) {
+    const snapshot = await readSnapshot(pivot, day);
+    const rates = snapshot ? rebaseTable(snapshot.conversion_rates, base) : null;
+    if (rates) return { ...snapshot, base, conversion_rates: rates, derivedFrom: pivot };
+  }
+  return null;
+}
+
+/**
+ * Days readDaySnapshot may answer for a base: its own captured days and the
+ * pivots', oldest first
+ *
+ * @param {string} base - Base currency code
+ * @returns {Promise<string[]>} Days (YYYY-MM-DD)
+ */
+async function listAvailableDays(base) {
+  const lists = await Promise.all([base, ...PIVOTS.filter(p => p !== base)].map(listSnapshotDays));
+  return [...new Set(lists.flat())].sort();
+}
+
+/**
+ * Record provider history for days not captured yet (captured days are kept)
+ *
+ * @param {string} base - Base currency code
+ * @returns {Promise<number>} Number of days written
+ */
+async function backfillSnapshots(base) {
+  if (!BASE_REGEX.test(base)) return 0;
+  const last = backfilledAt.get(base);
+  if (last !== undefined && Date.now() - last < BACKFILL_INTERVAL_MS) return 0;
+  backfilledAt.set(base, Date.now());
+
+  const captured = new Set(await listSnapshotDays(base));
+  let written = 0;
+  for (const payload of await fetchHistory(base)) {
+    if (!captured.has(payloadDay(payload)) && await recordSnapshot(base, payload)) written += 1;
+  }
+  if (written > 0) logger.info('Rate snapshots back-filled from provider history', { base, days: written });
+  return written;
+}
+
+// Exact day, else the nearest prior day within the lookback window (nearest-prior policy)
+async function findSnapshot(base, day) {
+  const exact = await readDaySnapshot(base, day);
+  if (exact) return { ok: true, snapshot: exact, exact: true };
+
+  if (DATE_POLICY === 'nearest-prior') {
+    const earliest = toUtcDay(new Date(new Date(`${day}T00:00:00Z`).getTime() - MAX_LOOKBACK_DAYS * DAY_MS));
+    const days = await listAvailableDays(base);
+    const prior = days.filter(d => d < day && d >= earliest).pop();
+    const snapshot = prior ? await readDaySnapshot(base, prior) : null;
+    if (snapshot) return { ok: true, snapshot, exact: false };
+  }
+  return null;
+}
+
+/**
+ * Resolve the snapshot to use for a historical request, honoring SNAPSHOT_DATE_POLICY.
+ * A miss triggers a back-fill from provider history before giving up.
+ *
+ * @param {string} base - Base currency code
+ * @param {string} day - Requested UTC day (YYYY-MM-DD)
+ * @returns {Promise<Object>} { ok: true, snapshot, exact } or { ok: false, status, code, error }
+ */
+async function resolveSnapshot(base, day) {
+  const found = await findSnapshot(base, day);
+  if (found) return found;
+
+  if (await backfillSnapshots(base) > 0) {
+    const backfilled = await findSnapshot(base, day);
+    if (backfilled) return backfilled;
+  }
+
+  const window = DATE_POLICY === 'nearest-prior' ? ` or the ${MAX_LOOKBACK_DAYS} days before it` : '';
+  return {
+    ok: false,
+    status: 404,
+    code: 'SNAPSHOT_NOT_FOUND',
+    error: `No ${base} rates were captured on ${day}${window}.`
+  };
+}
+
+/**
+ * Resolve a pair from a snapshot the way `/api/convert` resolves live rates: the
+ * direct quote, else a derivation through the pivots' snapshots of the same day.
+ * Direct quotes of a rebased snapshot are reported as derived through its pivot.
+ *
+ * @param {Object} snapshot - Snapshot of the source currency (see resolveSnapshot)
+ * @param {string} to - Target currency code
+ * @returns {Promise<Object|null>} { rate, derived, path? } or null when not derivable
+ */
+async function resolveSnapshotRate(snapshot, to) {
+  const tables = new Map([[snapshot.base, snapshot.conversion_rates]]);
+  const getTable = base => tables.get(base) || null;
+  const direct = resolveRate(snapshot.base, to, getTable);
+  if (direct) return throughRebase(direct, snapshot.base, to, snapshot.derivedFrom);
+
+  await Promise.all([to, ...PIVOTS].filter(base => !tables.has(base)).map(async (base) => {
+    const pivotSnapshot = await readSnapshot(base, snapshot.date);
+    if (pivotSnapshot) tables.set(base, pivotSnapshot.conversion_rates);
+  }));
+  return resolveRate(snapshot.base, to, getTable);
+}
+
+/**
+ * Build a conversion response body from a resolved snapshot.
+ * A single target keeps the `/api/convert` shape; several targets return `results`.
+ * Rates are resolved like the ledger's (see resolveSnapshotRate), so pairs the
+ * snapshot does not quote directly report `derived` and `path`. Amounts are
+ * priced for the client like live conversions (see pricing.js).
+ *
+ * @param {Object} params
+ * @param {string} params.from - Source currency code
+ * @param {string[]} params.targets - Target currency codes
+ * @param {string|null} params.amount - Decimal amount to convert (null for rate-only)
+ * @param {string|null} [params.targetAmount] - Decimal target amount for reverse conversions (single target only)
+ * @param {string} params.requestedDate - Day the client asked for
+ * @param {Object} params.snapshot - Snapshot returned by resolveSnapshot
+ * @param {Object} params.money - Rounding options ({ rounding, cash })
+ * @param {string} [params.client] - Authenticated username (per-client pricing)
+ * @returns {Promise<Object>} { status, body } (body without correlationId)
+ */
+async function buildSnapshotResponse({ from, targets, amount, targetAmount = null, requestedDate, snapshot, money = {}, client }) {
+  const resolvedRates = await Promise.all(targets.map(to => resolveSnapshotRate(snapshot, to)));
+  const dates = { date: snapshot.date, requestedDate, lastUpdated: snapshot.lastUpdated || snapshot.capturedAt };
+
+  if (targets.length === 1) {
+    const to = targets[0];
+    const resolved = resolvedRates[0];
+    if (!resolved) {
+      return {
+        status: 404,
+        body: { success: false, code: 'SNAPSHOT_NOT_FOUND', error: `Exchange rate from ${from} to ${to} not captured on ${snapshot.date}.` }
+      };
+    }
+    return {
+      status: 200,
+      body: {
+        success: true,
+        rate: resolved.rate,
+        ...priceConversion({ from, to, amount, targetAmount, client }, resolved.rate, money),
+        from,
+        to,
+        ...dates,
+        source: 'snapshot',
+        ...derivationFields(resolved)
+      }
+    };
+  }
+
+  const results = targets.map((to, index) => {
+    const resolved = resolvedRates[index];
+    if (!resolved) return { to, rate: null, convertedAmount: null, available: false };
+    return {
+      to,
+      rate: resolved.rate,
+      ...priceConversion({ from, to, amount, targetAmount: null, client }, resolved.rate, money),
+      ...derivationFields(resolved),
+      available: true
+    };
+  });
+  return {
+    status: 200,
+    body: { success: true, from, amount: amount !== null ? Number(amount) : null, targets, results, ...dates, source: 'snapshot' }
+  };
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  DATE_POLICY,
+  toUtcDay,
+  isValidDay,
+  recordSnapshot,
+  listSnapshotDays,
+  readSnapshot,
+  readDaySnapshot,
+  listAvailableDays,
+  backfillSnapshots,
+  resolveSnapshot,
+  resolveSnapshotRate,
+  buildSnapshotResponse
+};
@@ -0,0 +1,340 @@
+/**
+ * WebSocket Rate Subscriptions
+ *
+ * Bidirectional channel on the Express server (`/api/ws`) for desk tools:
+ * subscribe to currency pairs, receive a `tick` whenever the rates behind a pair
+ * refresh, and set per-connection threshold alerts. Messages are JSON objects
+ * with a `type`; every problem is answered with an `error` message carrying a
+ * `code` instead of silently closing the socket.
+ *
+ * Authentication uses the session token from `/api/login`, either in the
+ * upgrade request's `Authorization: Bearer` header or as the first message
+ * (`{ "type": "auth", "token": "..." }`) for browsers, which cannot set headers.
+ */
+
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const { logSiemEvent } = require('./siem');
+const { authenticateRequest, validateSession } = require('./sessions');
+const { ALLOWED_CURRENCIES } = require('./conversionValidation');
+const { rateEvents, latestEvent } = require('./rateEvents');
+const { watchBase } = require('./rateWatch');
+
+const WS_PATH = '/api/ws';
+
+// Pairs (and, separately, alerts) one connection may hold
+const MAX_SUBSCRIPTIONS = Math.max(1, Number(process.env.WS_MAX_SUBSCRIPTIONS || 20));
+
+// Open sockets per process
+const MAX_CONNECTIONS = Math.max(1, Number(process.env.WS_MAX_CONNECTIONS || 200));
+
+// Messages a client may send per minute before getting RATE_LIMITED errors
+const MAX_MESSAGES_PER_MINUTE = Math.max(1, Number(process.env.WS_MAX_MESSAGES_PER_MINUTE || 120));
+
+// Time allowed for the `auth` message when the upgrade carried no token
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+// Ping interval; sockets that miss a pong are terminated
+const PING_INTERVAL_MS = 30 * 1000;
+
+// Incoming messages are small JSON commands
+const MAX_PAYLOAD_BYTES = 4096;
+
+// Longest delay setTimeout supports; very long sessions simply reconnect
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Application close codes (4000-4999)
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_AUTH_TIMEOUT = 4408;
+
+const PAIR_REGEX = /^([A-Z]{3})\/([A-Z]{3})$/;
+const CONDITIONS = new Set(['above', 'below']);
+
+function parsePair(value) {
+  const match = PAIR_REGEX.exec(String(value || '').trim().toUpperCase());
+  if (!match || match[1] === match[2] || !ALLOWED_CURRENCIES.has(match[1]) || !ALLOWED_CURRENCIES.has(match[2])) {
+    return null;
+  }
+  return { pair: `${match[1]}/${match[2]}`, base: match[1], quote: match[2] };
+}
+
+// Reject the upgrade with a plain HTTP response
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * One authenticated (or authenticating) client connection
+ */
+class RateSubscriber {
+  constructor(ws, req, correlationId) {
+    this.ws = ws;
+    this.req = req;
+    this.correlationId = correlationId;
+    this.username = null;
+    this.pairs = new Map(); // pair -> { base, quote }
+    this.alerts = new Map(); // alert id -> { pair, base, quote, condition, threshold }
+    this.unwatch = new Map(); // base -> stop function
+    this.messageTimes = [];
+    this.timers = [];
+    this.onRates = event => this.handleRates(event);
+  }
+
+  send(message) {
+    if (this.ws.readyState === this.ws.OPEN) this.ws.send(JSON.stringify(message));
+  }
+
+  error(code, message, ref) {
+    this.send({ type: 'error', code, message, ...(ref !== undefined ? { ref } : {}) });
+  }
+
+  authenticate(username, expiresAt) {
+    this.username = username;
+    rateEvents.on('rates', this.onRates);
+    const expiry = setTimeout(() => {
+      this.error('SESSION_EXPIRED', 'Session expired. Please log in again.');
+      this.ws.close(CLOSE_UNAUTHORIZED, 'Session expired');
+    }, Math.min(Math.max(0, expiresAt - Date.now()), MAX_TIMER_MS));
+    this.timers.push(expiry);
+    this.send({ type: 'ready', username, maxSubscriptions: MAX_SUBSCRIPTIONS, expiresAt: new Date(expiresAt).toISOString() });
+  }
+
+  // Keep each base refreshed while any pair or alert on this connection needs it
+  syncWatches() {
+    const needed = new Set([...this.pairs.values(), ...this.alerts.values()].map(entry => entry.base));
+    needed.forEach((base) => {
+      if (!this.unwatch.has(base)) this.unwatch.set(base, watchBase(base));
+    });
+    [...this.unwatch.keys()].filter(base => !needed.has(base)).forEach((base) => {
+      this.unwatch.get(base)();
+      this.unwatch.delete(base);
+    });
+  }
+
+  tick(pair, event) {
+    const rate = event.rates[pair.quote];
+    if (typeof rate !== 'number') return;
+    this.send({ type: 'tick', pair: pair.pair, rate, lastUpdated: event.lastUpdated, refreshedAt: event.refreshedAt, eventId: event.id });
+  }
+
+  handleRates(event) {
+    this.pairs.forEach((pair) => {
+      if (pair.base === event.base) this.tick(pair, event);
+    });
+    this.alerts.forEach((alert, id) => {
+      const rate = event.rates[alert.quote];
+      if (alert.base !== event.base || typeof rate !== 'number') return;
+      const crossed = alert.condition === 'above' ? rate > alert.threshold : rate < alert.threshold;
+      if (!crossed) return;
+      // Alerts fire once and are removed
+      this.alerts.delete(id);
+      this.send({ type: 'alert', alertId: id, pair: alert.pair, condition: alert.condition, threshold: alert.threshold, rate, eventId: event.id });
+      this.syncWatches();
+    });
+  }
+
+  rateLimited() {
+    const now = Date.now();
+    this.messageTimes = this.messageTimes.filter(t => now - t < 60 * 1000);
+    this.messageTimes.push(now);
+    return this.messageTimes.length > MAX_MESSAGES_PER_MINUTE;
+  }
+
+  handleMessage(raw, isBinary) {
+    if (this.rateLimited()) {
+      return this.error('RATE_LIMITED', `At most ${MAX_MESSAGES_PER_MINUTE} messages per minute.`);
+    }
+    if (isBinary) return this.error('BAD_MESSAGE', 'Messages must be JSON text.');
+
+    let message;
+    try {
+      message = JSON.parse(raw.toString('utf8'));
+    } catch (err) {
+      return this.error('BAD_JSON', 'Message is not valid JSON.');
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+      return this.error('BAD_MESSAGE', 'Messages must be objects with a "type".');
+    }
+    const ref = message.ref;
+
+    if (message.type === 'auth') return this.handleAuth(message, ref);
+    if (!this.username) return this.error('NOT_AUTHENTICATED', 'Send { "type": "auth", "token": "..." } first.', ref);
+
+    switch (message.type) {
+      case 'subscribe':
+        return this.handleSubscribe(message, ref);
+      case 'unsubscribe':
+        return this.handleUnsubscribe(message, ref);
+      case 'set-alert':
+        return this.handleSetAlert(message, ref);
+      case 'clear-alert':
+        return this.handleClearAlert(message, ref);
+      case 'ping':
+        return this.send({ type: 'pong', ...(ref !== undefined ? { ref } : {}) });
+      default:
+        return this.error('UNKNOWN_TYPE', `Unknown message type "${String(message.type).slice(0, 32)}".`, ref);
+    }
+  }
+
+  handleAuth(message, ref) {
+    if (this.username) return this.error('ALREADY_AUTHENTICATED', 'This connection is already authenticated.', ref);
+    const session = validateSession(message.token);
+    if (!session) {
+      logSiemEvent('AUTH_FAILED', { reason: 'Missing or invalid token', path: WS_PATH }, this.req, this.correlationId);
+      this.error('UNAUTHORIZED', 'Unauthorized. Please log in again.', ref);
+      return this.ws.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+    }
+    clearTimeout(this.authTimer);
+    return this.authenticate(session.username, session.expiresAt);
+  }
+
+  parsePairs(message, ref) {
+    const list = Array.isArray(message.pairs) ? message.pairs : [message.pair];
+    if (list.length === 0 || list.some(p => p === undefined)) {
+      this.error('INVALID_PAIR', 'Provide "pair" or "pairs" as "BASE/QUOTE" codes, e.g. "USD/EUR".', ref);
+      return null;
+    }
+    const pairs = list.map(parsePair);
+    const invalid = list.find((p, i) => !pairs[i]);
+    if (invalid !== undefined) {
+      this.error('INVALID_PAIR', `"${String(invalid).slice(0, 16)}" is not a supported "BASE/QUOTE" pair.`, ref);
+      return null;
+    }
+    return pairs;
+  }
+
+  handleSubscribe(message, ref) {
+    const pairs = this.parsePairs(message, ref);
+    if (!pairs) return undefined;
+    const added = pairs.filter(p => !this.pairs.has(p.pair));
+    if (this.pairs.size + new Set(added.map(p => p.pair)).size > MAX_SUBSCRIPTIONS) {
+      return this.error('SUBSCRIPTION_LIMIT', `At most ${MAX_SUBSCRIPTIONS} pairs per connection.`, ref);
+    }
+    added.forEach(p => this.pairs.set(p.pair, p));
+    this.syncWatches();
+    this.send({ type: 'subscribed', pairs: [...this.pairs.keys()], ...(ref !== undefined ? { ref } : {}) });
+
+    // Latest known rate straight away, so clients do not wait for the next refresh
+    added.forEach((p) => {
+      const latest = latestEvent(p.base);
+      if (latest) this.tick(p, latest);
+    });
+    return undefined;
+  }
+
+  handleUnsubscribe(message, ref) {
+    const pairs = this.parsePairs(message, ref);
+    if (!pairs) return undefined;
+    pairs.forEach(p => this.pairs.delete(p.pair));
+    this.syncWatches();
+    return this.send({ type: 'unsubscribed', pairs: [...this.pairs.keys()], ...(ref !== undefined ? { ref } : {}) });
+  }
+
+  handleSetAlert(message, ref) {
+    const pair = parsePair(message.pair);
+    if (!pair) return this.error('INVALID_PAIR', 'Provide "pair" as "BASE/QUOTE" codes, e.g. "USD/PHP".', ref);
+    if (!CONDITIONS.has(message.condition)) return this.error('INVALID_ALERT', '"condition" must be "above" or "below".', ref);
+    const threshold = Number(message.threshold);
+    if (typeof message.threshold !== 'number' || !Number.isFinite(threshold) || threshold <= 0) {
+      return this.error('INVALID_ALERT', '"threshold" must be a positive number.', ref);
+    }
+    if (this.alerts.size >= MAX_SUBSCRIPTIONS) {
+      return this.error('SUBSCRIPTION_LIMIT', `At most ${MAX_SUBSCRIPTIONS} alerts per connection.`, ref);
+    }
+    const alertId = uuidv4();
+    this.alerts.set(alertId, { ...pair, condition: message.condition, threshold });
+    this.syncWatches();
+    return this.send({ type: 'alert-set', alertId, pair: pair.pair, condition: message.condition, threshold, ...(ref !== undefined ? { ref } : {}) });
+  }
+
+  handleClearAlert(message, ref) {
+    if (!this.alerts.delete(String(message.alertId))) {
+      return this.error('UNKNOWN_ALERT', 'No such alert on this connection.', ref);
+    }
+    this.syncWatches();
+    return this.send({ type: 'alert-cleared', alertId: String(message.alertId), ...(ref !== undefined ? { ref } : {}) });
+  }
+
+  close() {
+    rateEvents.off('rates', this.onRates);
+    this.timers.forEach(clearTimeout);
+    clearTimeout(this.authTimer);
+    this.unwatch.forEach(stop => stop());
+    this.unwatch.clear();
+  }
+}
+
+/**
+ * Accept WebSocket connections on WS_PATH of an HTTP server
+ *
+ * @param {Object} server - Node HTTP server returned by app.listen
+ * @param {Object} [options]
+ * @param {Function} [options.isOriginAllowed] - Origin check shared with the CORS policy
+ * @returns {WebSocketServer} The WebSocket server
+ */
+function attachRateSocket(server, { isOriginAllowed = () => true } = {}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) return rejectUpgrade(socket, 404, 'Not Found');
+
+    const correlationId = uuidv4();
+    const origin = req.headers.origin;
+    if (origin && !isOriginAllowed(origin)) {
+      logSiemEvent('CORS_BLOCKED', { blockedOrigin: origin, path: WS_PATH, method: 'UPGRADE' }, req, correlationId);
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+    if (wss.clients.size >= MAX_CONNECTIONS) return rejectUpgrade(socket, 503, 'Service Unavailable');
+
+    // A token in the upgrade request must be valid; without one the client authenticates by message
+    let auth = null;
+    if (req.headers.authorization) {
+      auth = authenticateRequest(req, correlationId);
+      if (!auth) return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    return wss.handleUpgrade(req, socket, head, (ws) => {
+      const subscriber = new RateSubscriber(ws, req, correlationId);
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      ws.on('message', (data, isBinary) => subscriber.handleMessage(data, isBinary));
+      ws.on('close', () => subscriber.close());
+      ws.on('error', (err) => {
+        // Oversized frames and protocol violations close the socket with a status code
+        logger.warn('WebSocket error', { error: err.message, code: err.code, correlationId });
+      });
+
+      if (auth) {
+        subscriber.authenticate(auth.user.username, auth.expiresAt);
+      } else {
+        subscriber.send({ type: 'auth-required', timeoutMs: AUTH_TIMEOUT_MS });
+        subscriber.authTimer = setTimeout(() => {
+          subscriber.error('AUTH_TIMEOUT', 'No auth message received.');
+          ws.close(CLOSE_AUTH_TIMEOUT, 'Authentication timeout');
+        }, AUTH_TIMEOUT_MS);
+      }
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  const pinger = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      return ws.ping();
+    });
+  }, PING_INTERVAL_MS);
+  pinger.unref();
+  wss.on('close', () => clearInterval(pinger));
+
+  return wss;
+}
+
+module.exports = {
+  WS_PATH,
+  MAX_SUBSCRIPTIONS,
+  attachRateSocket
+};
@@ -0,0 +1,168 @@
+/**
+ * Live Rate Stream (Server-Sent Events)
+ *
+ * `GET /api/rates/stream?base=USD&symbols=EUR,JPY` keeps the response open and
+ * pushes a `rates` event whenever the cached rates for the base refresh. Event
+ * ids allow resuming with `Last-Event-ID`; heartbeat comments keep proxies and
+ * the server's socket timeout from closing idle streams. The stream ends with a
+ * `session-expired` event when the caller's session token expires.
+ *
+ * Express only: serverless functions cannot hold a response open.
+ */
+
+const { logSiemEvent } = require('./siem');
+const { ALLOWED_CURRENCIES, MAX_TARGETS } = require('./conversionValidation');
+const { rateEvents, latestEvent, eventsSince } = require('./rateEvents');
+const { watchBase } = require('./rateWatch');
+
+const ALLOWED_PARAMS = new Set(['base', 'symbols', 'lastEventId']);
+
+// Heartbeat interval; keep it below REQUEST_TIMEOUT_MS (default 30s)
+const HEARTBEAT_MS = Math.max(1000, Number(process.env.SSE_HEARTBEAT_MS || 15000));
+
+// Maximum concurrently open streams for the process
+const MAX_STREAMS = Math.max(1, Number(process.env.SSE_MAX_STREAMS || 200));
+
+// Client reconnect delay announced with `retry:`
+const RETRY_MS = 5000;
+
+// Longest delay setTimeout supports; very long sessions simply reconnect
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let openStreams = 0;
+
+/**
+ * Validate stream query parameters
+ *
+ * @param {Object} query - Raw parameters ({ base, symbols?, lastEventId? })
+ * @returns {Object} { ok: true, base, symbols, lastEventId } or { ok: false, error }
+ */
+function validateStreamQuery(query) {
+  const unexpected = Object.keys(query || {}).find(k => !ALLOWED_PARAMS.has(k));
+  if (unexpected) return { ok: false, error: `Unexpected parameter '${unexpected}'.` };
+
+  const base = String(query?.base || '').toUpperCase();
+  if (!ALLOWED_CURRENCIES.has(base)) {
+    return { ok: false, error: '"base" must be a supported ISO 4217 currency code.' };
+  }
+
+  // Symbols are optional; when omitted every rate for the base is sent
+  let symbols = null;
+  if (query.symbols !== undefined) {
+    symbols = [...new Set(String(query.symbols).toUpperCase().split(',').map(s => s.trim()))];
+    if (symbols.some(s => !ALLOWED_CURRENCIES.has(s))) {
+      return { ok: false, error: '"symbols" must be a comma-separated list of supported ISO 4217 codes.' };
+    }
+    if (symbols.length > MAX_TARGETS) {
+      return { ok: false, error: `"symbols" may list at most ${MAX_TARGETS} currencies.` };
+    }
+  }
+
+  // EventSource sends Last-Event-ID as a header; the query form is for clients that cannot set headers
+  let lastEventId = null;
+  if (query.lastEventId !== undefined) {
+    if (!/^\d{1,15}$/.test(String(query.lastEventId))) {
+      return { ok: false, error: '"lastEventId" must be a non-negative integer.' };
+    }
+    lastEventId = Number(query.lastEventId);
+  }
+
+  return { ok: true, base, symbols, lastEventId };
+}
+
+// SSE frame for a rates event, limited to the requested symbols
+function formatEvent(event, symbols) {
+  const rates = symbols
+    ? Object.fromEntries(symbols.filter(code => typeof event.rates[code] === 'number').map(code => [code, event.rates[code]]))
+    : event.rates;
+  const data = { base: event.base, rates, lastUpdated: event.lastUpdated, refreshedAt: event.refreshedAt };
+  return `id: ${event.id}\nevent: rates\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Validate the request and stream rate events until the client disconnects
+ *
+ * @param {Object} req - Authenticated Express request
+ * @param {Object} res - Express response
+ * @param {Object} context - { correlationId, sessionExpiresAt }
+ * @returns {Object|undefined} { status, headers?, body } when the stream was not opened
+ */
+function openRateStream(req, res, { correlationId = null, sessionExpiresAt = null } = {}) {
+  const validation = validateStreamQuery(req.query || {});
+  if (!validation.ok) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Invalid rate stream query',
+      error: validation.error,
+      path: '/api/rates/stream'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: validation.error } };
+  }
+  if (openStreams >= MAX_STREAMS) {
+    return {
+      status: 503,
+      headers: { 'Retry-After': String(RETRY_MS / 1000) },
+      body: { success: false, code: 'STREAM_LIMIT_REACHED', error: 'Too many open rate streams. Please retry shortly.' }
+    };
+  }
+
+  const { base, symbols } = validation;
+  const header = req.headers['last-event-id'];
+  const lastEventId = /^\d{1,15}$/.test(String(header || '')) ? Number(header) : validation.lastEventId;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable response buffering in nginx-style proxies
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  openStreams += 1;
+
+  // Resume from Last-Event-ID when the history still covers it; otherwise start from the latest rates
+  const resumed = lastEventId !== null ? eventsSince(base, lastEventId) : null;
+  if (resumed && resumed.complete) {
+    resumed.events.forEach(event => res.write(formatEvent(event, symbols)));
+  } else {
+    const latest = latestEvent(base);
+    if (latest) res.write(formatEvent(latest, symbols));
+  }
+
+  const onRates = (event) => {
+    if (event.base === base) res.write(formatEvent(event, symbols));
+  };
+  rateEvents.on('rates', onRates);
+  const unwatch = watchBase(base);
+
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), HEARTBEAT_MS);
+
+  let expiry = null;
+  if (sessionExpiresAt) {
+    expiry = setTimeout(() => {
+      if (Date.now() >= sessionExpiresAt) {
+        res.write(`event: session-expired\ndata: ${JSON.stringify({ error: 'Session expired. Please log in again.' })}\n\n`);
+      }
+      res.end();
+    }, Math.min(Math.max(0, sessionExpiresAt - Date.now()), MAX_TIMER_MS));
+  }
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    openStreams -= 1;
+    rateEvents.off('rates', onRates);
+    unwatch();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  };
+  // Fires both when the client disconnects and when the stream is ended here
+  res.on('close', close);
+  return undefined;
+}
+
+module.exports = {
+  HEARTBEAT_MS,
+  validateStreamQuery,
+  openRateStream
+};
@@ -0,0 +1,172 @@
+/**
+ * Rate Time-series
+ *
+ * Builds per-day rate series and summary statistics from the daily snapshot
+ * store, for charts and trend analysis (`/api/rates/timeseries`).
+ */
+
+const { logError } = require('./logger');
+const { logSiemEvent } = require('./siem');
+const { ALLOWED_CURRENCIES, MAX_TARGETS } = require('./conversionValidation');
+const { isValidDay, toUtcDay, listAvailableDays, readDaySnapshot, backfillSnapshots } = require('./rateSnapshots');
+
+const ALLOWED_PARAMS = new Set(['base', 'symbols', 'start', 'end']);
+const ISO_CURRENCY_REGEX = /^[A-Z]{3}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maximum number of days a single series may span
+const MAX_RANGE_DAYS = Math.max(1, Number(process.env.TIMESERIES_MAX_DAYS || 366));
+
+/**
+ * Validate and normalize time-series query parameters
+ *
+ * @param {Object} query - Raw parameters ({ base, symbols, start, end })
+ * @returns {Object} { ok: true, base, symbols, start, end } or { ok: false, error }
+ */
+function validateTimeseriesQuery(query) {
+  for (const k of Object.keys(query || {})) {
+    if (!ALLOWED_PARAMS.has(k)) {
+      return { ok: false, error: `Unexpected parameter '${k}'.` };
+    }
+  }
+
+  if (!query?.base || !query?.start || !query?.end) {
+    return { ok: false, error: 'Missing required query parameters "base", "start" and "end".' };
+  }
+
+  const base = String(query.base).toUpperCase();
+  if (!ISO_CURRENCY_REGEX.test(base) || !ALLOWED_CURRENCIES.has(base)) {
+    return { ok: false, error: 'Currency not supported. Use a standard ISO 4217 currency code.' };
+  }
+
+  // Symbols are optional; when omitted every currency in the snapshots is returned
+  let symbols = null;
+  if (query.symbols !== undefined) {
+    symbols = [...new Set(String(query.symbols).toUpperCase().split(',').map(s => s.trim()))];
+    if (symbols.some(s => !ISO_CURRENCY_REGEX.test(s) || !ALLOWED_CURRENCIES.has(s))) {
+      return { ok: false, error: '"symbols" must be a comma-separated list of supported ISO 4217 codes.' };
+    }
+    if (symbols.length > MAX_TARGETS) {
+      return { ok: false, error: `"symbols" may list at most ${MAX_TARGETS} currencies.` };
+    }
+  }
+
+  const start = String(query.start).trim();
+  const end = String(query.end).trim();
+  if (!isValidDay(start) || !isValidDay(end)) {
+    return { ok: false, error: '"start" and "end" must be valid calendar days in YYYY-MM-DD format.' };
+  }
+  if (start > end) {
+    return { ok: false, error: '"start" must not be after "end".' };
+  }
+  if (end > toUtcDay(new Date())) {
+    return { ok: false, error: '"end" must not be in the future.' };
+  }
+
+  const spanDays = Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+  if (spanDays > MAX_RANGE_DAYS) {
+    return { ok: false, error: `The requested range may span at most ${MAX_RANGE_DAYS} days.` };
+  }
+
+  return { ok: true, base, symbols, start, end };
+}
+
+// Summary statistics for one currency's series of { date, rate } points
+function summarize(points) {
+  if (points.length === 0) return null;
+  const values = points.map(p => p.rate);
+  const first = values[0];
+  const last = values[values.length - 1];
+  const sum = values.reduce((acc, v) => acc + v, 0);
+  return {
+    points: values.length,
+    start: first,
+    end: last,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: Number((sum / values.length).toFixed(6)),
+    change: Number((last - first).toFixed(6)),
+    changePercent: first !== 0 ? Number((((last - first) / first) * 100).toFixed(4)) : null
+  };
+}
+
+/**
+ * Build a per-day series with summary stats from captured snapshots.
+ * Days that were never captured are skipped rather than interpolated; days
+ * answered from a rebased pivot snapshot carry its `derivedFrom`.
+ *
+ * @param {Object} params - Validated { base, symbols, start, end }
+ * @returns {Promise<Object>} Response body (without correlationId)
+ */
+async function buildTimeseries({ base, symbols, start, end }) {
+  // Fill gaps from provider history first (throttled per base)
+  await backfillSnapshots(base);
+  const days = (await listAvailableDays(base)).filter(d => d >= start && d <= end);
+  const snapshots = (await Promise.all(days.map(d => readDaySnapshot(base, d)))).filter(Boolean);
+
+  const codes = symbols || [...new Set(snapshots.flatMap(s => Object.keys(s.conversion_rates || {})))]
+    .filter(code => code !== base && ALLOWED_CURRENCIES.has(code))
+    .sort();
+
+  const series = snapshots.map((snapshot) => {
+    const rates = {};
+    codes.forEach((code) => {
+      const rate = snapshot.conversion_rates?.[code];
+      if (typeof rate === 'number') rates[code] = rate;
+    });
+    return { date: snapshot.date, rates, ...(snapshot.derivedFrom ? { derivedFrom: snapshot.derivedFrom } : {}) };
+  });
+
+  const stats = {};
+  codes.forEach((code) => {
+    const points = series
+      .filter(entry => typeof entry.rates[code] === 'number')
+      .map(entry => ({ date: entry.date, rate: entry.rates[code] }));
+    stats[code] = summarize(points);
+  });
+
+  return {
+    success: true,
+    base,
+    symbols: codes,
+    start,
+    end,
+    capturedDays: series.length,
+    series,
+    stats,
+    source: 'snapshot'
+  };
+}
+
+/**
+ * Validate a time-series query and build the series, for Express and Vercel alike
+ *
+ * @param {Object} query - Raw query parameters
+ * @param {Object} context - { req, correlationId } for SIEM events
+ * @returns {Promise<Object>} { status, body } (body without correlationId)
+ */
+async function getTimeseries(query, { req = null, correlationId = null } = {}) {
+  const validation = validateTimeseriesQuery(query || {});
+  if (!validation.ok) {
+    logSiemEvent('VALIDATION_FAILED', {
+      reason: 'Invalid time-series query',
+      error: validation.error,
+      path: '/api/rates/timeseries'
+    }, req, correlationId);
+    return { status: 400, body: { success: false, error: validation.error } };
+  }
+
+  try {
+    return { status: 200, body: await buildTimeseries(validation) };
+  } catch (error) {
+    logError(error, { path: '/api/rates/timeseries', base: validation.base });
+    return { status: 500, body: { success: false, error: 'Failed to build rate time-series.' } };
+  }
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  validateTimeseriesQuery,
+  buildTimeseries,
+  getTimeseries
+};
@@ -0,0 +1,73 @@
+/**
+ * Watched Bases
+ *
+ * Live feeds only receive events when the cache for a base refreshes, which
+ * otherwise happens only when someone converts from that base. While at least
+ * one stream or socket watches a base, its cache is checked every
+ * RATE_WATCH_INTERVAL_MS (default: half the upstream cache TTL) and refetched
+ * once expired, so subscribers keep getting updates.
+ */
+
+const { logger } = require('./logger');
+const { getLatestRates, CACHE_TTL } = require('./conversionService');
+const { hasProviders } = require('./providers');
+
+const WATCH_INTERVAL_MS = Math.max(1000, Number(process.env.RATE_WATCH_INTERVAL_MS || CACHE_TTL / 2));
+
+// base -> { watchers, timer }
+const watched = new Map();
+
+async function refresh(base) {
+  if (!hasProviders()) return;
+  try {
+    // Publishes a rates event whenever the cached payload is replaced
+    await getLatestRates(base);
+  } catch (err) {
+    logger.warn('Watched base refresh failed', { baseCurrency: base, error: err.message });
+  }
+}
+
+/**
+ * Keep a base refreshed while it is watched
+ *
+ * @param {string} base - Base currency code
+ * @returns {Function} Call to stop watching
+ */
+function watchBase(base) {
+  let entry = watched.get(base);
+  if (!entry) {
+    const timer = setInterval(() => refresh(base), WATCH_INTERVAL_MS);
+    timer.unref();
+    entry = { watchers: 0, timer };
+    watched.set(base, entry);
+    refresh(base);
+  }
+  entry.watchers += 1;
+
+  let stopped = false;
+  return () => {
+    if (stopped) return;
+    stopped = true;
+    entry.watchers -= 1;
+    if (entry.watchers === 0) {
+      clearInterval(entry.timer);
+      watched.delete(base);
+    }
+  };
+}
+
+/**
+ * True while at least one stream, socket or alert watches the base
+ *
+ * @param {string} base - Base currency code
+ * @returns {boolean}
+ */
+function isWatched(base) {
+  return watched.has(base);
+}
+
+module.exports = {
+  WATCH_INTERVAL_MS,
+  watchBase,
+  isWatched
+};
@@ -0,0 +1,179 @@
+/**
+ * Response Formats (Content Negotiation)
+ *
+ * Rate endpoints answer in JSON by default, or in CSV, XML or NDJSON for
+ * clients that cannot consume JSON, chosen with `?format=` or the `Accept`
+ * header. Every format carries the same fields as the JSON body, including
+ * `correlationId`.
+ *
+ * CSV and NDJSON are tabular: when the body holds a list of records (e.g.
+ * multi-target `results` or time-series `series`) each record becomes a row,
+ * together with the body's top-level scalar fields; otherwise the body is one
+ * row. Nested objects become dotted columns (`rates.EUR`). XML keeps the full
+ * document structure.
+ */
+
+const { toCsv } = require('./csv');
+
+const FORMATS = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Accepted media types (and wildcards) -> format
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/xml': 'xml',
+  'text/xml': 'xml',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/*': 'json',
+  'text/*': 'csv',
+  '*/*': 'json'
+};
+
+function notAcceptable() {
+  return {
+    status: 406,
+    body: {
+      success: false,
+      code: 'NOT_ACCEPTABLE',
+      error: `Unsupported response format. Use format=${Object.keys(FORMATS).join('|')} or a matching Accept header.`
+    }
+  };
+}
+
+// Media ranges from an Accept header, best quality first (ties keep header order)
+function parseAccept(header) {
+  return String(header)
+    .split(',')
+    .map((part, position) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { type: type.trim(), q: q ? Number(q.slice(2)) : 1, position };
+    })
+    .filter(range => range.type && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.position - b.position);
+}
+
+/**
+ * Pick the response format for a request. `format` wins over `Accept` and is
+ * removed from the returned query so endpoint validation never sees it.
+ *
+ * @param {Object} req - Incoming request (Express or Vercel)
+ * @returns {Object} { ok: true, format, query } or { ok: false, result } (406 result)
+ */
+function negotiateFormat(req) {
+  const { format, ...query } = req.query || {};
+  if (format !== undefined) {
+    const requested = String(format).trim().toLowerCase();
+    return FORMATS[requested] ? { ok: true, format: requested, query } : { ok: false, result: notAcceptable() };
+  }
+
+  const accept = req.headers?.accept;
+  if (!accept || !String(accept).trim()) return { ok: true, format: 'json', query };
+  const match = parseAccept(accept).find(range => MEDIA_TYPES[range.type]);
+  return match ? { ok: true, format: MEDIA_TYPES[match.type], query } : { ok: false, result: notAcceptable() };
+}
+
+// Flatten nested objects to dotted keys; scalar arrays are joined with spaces
+function flatten(value, prefix = '', out = {}) {
+  Object.entries(value).forEach(([key, item]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(item)) {
+      out[name] = item.every(v => v === null || typeof v !== 'object') ? item.join(' ') : JSON.stringify(item);
+    } else if (item !== null && typeof item === 'object') {
+      flatten(item, name, out);
+    } else {
+      out[name] = item;
+    }
+  });
+  return out;
+}
+
+// Records for tabular formats: the first list of objects, each with the top-level scalars
+function toRecords(body) {
+  const listKey = Object.keys(body).find(key => Array.isArray(body[key])
+    && body[key].length > 0
+    && body[key].every(item => item !== null && typeof item === 'object' && !Array.isArray(item)));
+  if (!listKey) return [body];
+
+  const shared = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (value === null || typeof value !== 'object') shared[key] = value;
+  });
+  return body[listKey].map(item => ({ ...shared, ...item }));
+}
+
+function renderCsv(body) {
+  const rows = toRecords(body).map(record => flatten(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return toCsv(columns, rows);
+}
+
+function renderNdjson(body) {
+  return toRecords(body).map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Element names must start with a letter or underscore
+function xmlName(key) {
+  const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+function xmlElement(name, value, indent) {
+  const pad = '  '.repeat(indent);
+  if (value === null || value === undefined) return `${pad}<${name}/>`;
+  if (Array.isArray(value)) {
+    const items = value.map(item => xmlElement('item', item, indent + 1));
+    return items.length ? `${pad}<${name}>\n${items.join('\n')}\n${pad}</${name}>` : `${pad}<${name}/>`;
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([key, item]) => xmlElement(xmlName(key), item, indent + 1));
+    return children.length ? `${pad}<${name}>\n${children.join('\n')}\n${pad}</${name}>` : `${pad}<${name}/>`;
+  }
+  return `${pad}<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function renderXml(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement('response', body, 0)}\n`;
+}
+
+const RENDERERS = { csv: renderCsv, xml: renderXml, ndjson: renderNdjson };
+
+/**
+ * Render a service result in the negotiated format, for sendResult.
+ * JSON results are returned unchanged.
+ *
+ * @param {Object} result - { status, headers?, body }
+ * @param {string} correlationId - Included in the rendered fields
+ * @param {string} format - json | csv | xml | ndjson
+ * @returns {Object} { status, headers, body } or { status, headers, text }
+ */
+function formatResult(result, correlationId, format) {
+  const headers = { ...(result.headers || {}), Vary: 'Accept' };
+  if (format === 'json' || !RENDERERS[format]) return { ...result, headers };
+  return {
+    status: result.status,
+    headers: { ...headers, 'Content-Type': FORMATS[format] },
+    text: RENDERERS[format]({ ...result.body, correlationId })
+  };
+}
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  formatResult
+};
@@ -61,6 +61,28 @@ function sanitizeString(input, options = {}) {
   return sanitized;
 }
 
+/**
+ * Reverse the HTML entity encoding applied by sanitizeString, for values that
+ * are parsed rather than displayed (URLs, free-text queries)
+ *
+ * @param {string} input - Sanitized string
+ * @returns {string} Decoded string
+ */
+function decodeSanitizedString(input) {
+  if (typeof input !== 'string') {
+    return '';
+  }
+
+  // Decode &amp; last so "&amp;lt;" stays "&lt;"
+  return input
+    .replace(/&#x2F;/g, '/')
+    .replace(/&#x27;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
 /**
  * Sanitize object recursively
  * 
@@ -273,6 +295,7 @@ function validateNumber(value, options = {}) {
 
 module.exports = {
   sanitizeString,
+  decodeSanitizedString,
   sanitizeObject,
   sanitizeEmail,
   sanitizeUrl,
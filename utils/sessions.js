@@ -0,0 +1,119 @@
+/**
+ * Login Sessions
+ *
+ * Issues and verifies the Bearer tokens returned by `/api/login`. Tokens are
+ * HMAC-signed (`<payload>.<signature>`) so every runtime that shares
+ * SESSION_SECRET (the Express server and each Vercel function instance) accepts
+ * the same token without a shared session table. Without SESSION_SECRET a random
+ * per-process secret is used, so tokens only work on the process that issued them.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const { logSiemEvent } = require('./siem');
+
+const SESSION_TTL_MINUTES = Number(process.env.LOGIN_SESSION_TTL_MINUTES || 60);
+const SESSION_TTL_MS = Number.isFinite(SESSION_TTL_MINUTES) ? SESSION_TTL_MINUTES * 60 * 1000 : 60 * 60 * 1000;
+
+const SESSION_SECRET = process.env.SESSION_SECRET && process.env.SESSION_SECRET.trim() !== ''
+  ? process.env.SESSION_SECRET
+  : null;
+if (!SESSION_SECRET) {
+  logger.warn('SESSION_SECRET is not set; login sessions are limited to this process');
+}
+const signingSecret = SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Logged-out token ids -> expiry (best-effort per process; tokens still expire on their own)
+const revokedSessions = new Map();
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', signingSecret).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a session token for an authenticated user
+ *
+ * @param {string} username - User identifier (email or Supabase id)
+ * @returns {Object} { token, expiresAt }
+ */
+function createSession(username) {
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ sub: username, exp: expiresAt, jti: uuidv4() })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a session token
+ *
+ * @param {string} token - Bearer token
+ * @returns {Object|null} { username, expiresAt, id } or null when invalid, expired or revoked
+ */
+function validateSession(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!claims || typeof claims.sub !== 'string' || !(claims.exp > Date.now()) || revokedSessions.has(claims.jti)) {
+    return null;
+  }
+  return { username: claims.sub, expiresAt: claims.exp, id: claims.jti };
+}
+
+/**
+ * Revoke a session (logout)
+ *
+ * @param {string} token - Bearer token
+ */
+function revokeSession(token) {
+  const session = validateSession(token);
+  if (!session) return;
+  revokedSessions.set(session.id, session.expiresAt);
+
+  // Forget revocations once the tokens would have expired anyway
+  const now = Date.now();
+  for (const [id, expiresAt] of revokedSessions) {
+    if (expiresAt <= now) revokedSessions.delete(id);
+  }
+}
+
+/**
+ * Authenticate a request from its Authorization header.
+ * Failures are logged as AUTH_FAILED SIEM events.
+ *
+ * @param {Object} req - Incoming request (Express or Vercel)
+ * @param {string} correlationId - Correlation ID for the SIEM event
+ * @returns {Object|null} { user: { username }, token, expiresAt } or null when unauthenticated
+ */
+function authenticateRequest(req, correlationId) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const token = match && match[1];
+  const session = validateSession(token);
+  if (!session) {
+    logSiemEvent('AUTH_FAILED', {
+      reason: 'Missing or invalid token',
+      path: req.path || (req.url || '').split('?')[0]
+    }, req, correlationId);
+    return null;
+  }
+  return { user: { username: session.username }, token, expiresAt: session.expiresAt };
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSession,
+  validateSession,
+  revokeSession,
+  authenticateRequest
+};
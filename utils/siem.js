@@ -43,7 +43,13 @@ const EVENT_TYPES = {
   SQL_INJECTION_ATTEMPT: { category: EVENT_CATEGORIES.SUSPICIOUS_ACTIVITY, severity: SEVERITY_LEVELS.CRITICAL },
   XSS_ATTEMPT: { category: EVENT_CATEGORIES.SUSPICIOUS_ACTIVITY, severity: SEVERITY_LEVELS.HIGH },
   API_KEY_MISSING: { category: EVENT_CATEGORIES.CONFIGURATION, severity: SEVERITY_LEVELS.MEDIUM },
-  SYSTEM_ERROR: { category: EVENT_CATEGORIES.SYSTEM, severity: SEVERITY_LEVELS.HIGH }
+  SYSTEM_ERROR: { category: EVENT_CATEGORIES.SYSTEM, severity: SEVERITY_LEVELS.HIGH },
+  QUOTE_CREATED: { category: EVENT_CATEGORIES.DATA_ACCESS, severity: SEVERITY_LEVELS.INFO },
+  QUOTE_ACCEPTED: { category: EVENT_CATEGORIES.DATA_ACCESS, severity: SEVERITY_LEVELS.LOW },
+  QUOTE_REJECTED: { category: EVENT_CATEGORIES.DATA_ACCESS, severity: SEVERITY_LEVELS.LOW },
+  JOB_CREATED: { category: EVENT_CATEGORIES.DATA_ACCESS, severity: SEVERITY_LEVELS.INFO },
+  ALERT_CREATED: { category: EVENT_CATEGORIES.DATA_ACCESS, severity: SEVERITY_LEVELS.INFO },
+  ALERT_DELIVERY_FAILED: { category: EVENT_CATEGORIES.SYSTEM, severity: SEVERITY_LEVELS.LOW }
 };
 
 // In-memory metrics for security monitoring (last 24 hours)
@@ -0,0 +1,139 @@
+/**
+ * Cross-rate Triangulation
+ *
+ * Derives A→B through a pivot currency (USD, then EUR by default) when no
+ * table quotes the pair directly, e.g. PHP→KRW = PHP→USD × USD→KRW.
+ * Works over any source of `conversion_rates` tables (upstream cache or the
+ * static fallback table) supplied through a `getTable(base)` callback.
+ */
+
+// Ordered pivot currencies; override with TRIANGULATION_PIVOTS=USD,EUR,GBP
+const PIVOTS = (process.env.TRIANGULATION_PIVOTS || 'USD,EUR')
+  .split(',')
+  .map(p => p.trim().toUpperCase())
+  .filter(p => /^[A-Z]{3}$/.test(p));
+
+// Derived rates are rounded to 12 significant digits to drop float noise
+function roundRate(rate) {
+  return Number(rate.toPrecision(12));
+}
+
+function quote(table, code) {
+  const rate = table ? table[code] : undefined;
+  return typeof rate === 'number' && rate > 0 ? rate : null;
+}
+
+/**
+ * Derive a cross rate through the configured pivots
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Function} getTable - (base) => conversion_rates object or null
+ * @returns {Object|null} { rate, derived: true, path: [from, pivot, to] } or null
+ */
+function triangulateRate(from, to, getTable) {
+  for (const pivot of PIVOTS) {
+    if (pivot === from || pivot === to) continue;
+
+    const pivotTable = getTable(pivot);
+    const fromTable = getTable(from);
+    const toTable = getTable(to);
+
+    let rate = null;
+    const pivotFrom = quote(pivotTable, from);
+    const pivotTo = quote(pivotTable, to);
+    const fromPivot = quote(fromTable, pivot);
+    const toPivot = quote(toTable, pivot);
+
+    if (pivotFrom && pivotTo) {
+      // Pivot table quotes both legs: (P→B) / (P→A)
+      rate = pivotTo / pivotFrom;
+    } else if (fromPivot && pivotTo) {
+      // A→P × P→B
+      rate = fromPivot * pivotTo;
+    } else if (fromPivot && toPivot) {
+      // A→P / B→P
+      rate = fromPivot / toPivot;
+    } else if (pivotFrom && toPivot) {
+      // 1 / (P→A × B→P)
+      rate = 1 / (pivotFrom * toPivot);
+    }
+
+    if (rate !== null && Number.isFinite(rate)) {
+      return { rate: roundRate(rate), derived: true, path: [from, pivot, to] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a rate directly from the base table, else as the reciprocal of the
+ * target's own quote (B→A), else by triangulation
+ *
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Function} getTable - (base) => conversion_rates object or null
+ * @returns {Object|null} { rate, derived, path? } or null when nothing is available
+ */
+function resolveRate(from, to, getTable) {
+  if (from === to) return { rate: 1, derived: false };
+  const direct = quote(getTable(from), to);
+  if (direct) return { rate: direct, derived: false };
+  // Same as the fallback table's reciprocals: one quoted leg, not a derivation
+  const inverse = quote(getTable(to), from);
+  if (inverse) return { rate: roundRate(1 / inverse), derived: false };
+  return triangulateRate(from, to, getTable);
+}
+
+/**
+ * Response fields marking a derived rate (empty for direct quotes)
+ *
+ * @param {Object|null} resolved - Result of resolveRate/getFallbackRate
+ * @returns {Object} { derived: true, path } or {}
+ */
+function derivationFields(resolved) {
+  return resolved && resolved.derived ? { derived: true, path: resolved.path } : {};
+}
+
+/**
+ * Mark a direct answer from a rebased table (see rebaseTable) as derived through
+ * the base that table was rebased from; other answers are returned unchanged
+ *
+ * @param {Object|null} resolved - Result of resolveRate
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {string} [rebasedFrom] - Original base of the table that answered, if rebased
+ * @returns {Object|null} resolved, or { rate, derived: true, path: [from, rebasedFrom, to] }
+ */
+function throughRebase(resolved, from, to, rebasedFrom) {
+  if (!resolved || resolved.derived || !rebasedFrom || rebasedFrom === from || rebasedFrom === to) return resolved;
+  return { ...resolved, derived: true, path: [from, rebasedFrom, to] };
+}
+
+/**
+ * Re-express a whole rates table against another currency it quotes,
+ * e.g. a USD table as a JPY table (JPY→X = USD→X / USD→JPY)
+ *
+ * @param {Object} table - conversion_rates of the original base (including the base at 1)
+ * @param {string} base - New base currency
+ * @returns {Object|null} conversion_rates for the new base, or null when the table does not quote it
+ */
+function rebaseTable(table, base) {
+  const divisor = quote(table, base);
+  if (!divisor) return null;
+  const rebased = {};
+  Object.keys(table).forEach((code) => {
+    const rate = quote(table, code);
+    if (rate) rebased[code] = code === base ? 1 : roundRate(rate / divisor);
+  });
+  return rebased;
+}
+
+module.exports = {
+  PIVOTS,
+  triangulateRate,
+  rebaseTable,
+  resolveRate,
+  throughRebase,
+  derivationFields
+};
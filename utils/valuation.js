@@ -0,0 +1,121 @@
+/**
+ * Portfolio Valuation
+ *
+ * Values a set of holdings in several currencies in one reporting currency:
+ * each line converted at the latest mid rate, the total, each line's share of
+ * the total and the rate source used per line (`POST /api/valuation`).
+ */
+
+const { logSiemEvent } = require('./siem');
+const { validateAndNormalizeQuery } = require('./conversionValidation');
+const { Money, convertMoney, getMinorUnits, parseRoundingOptions } = require('./money');
+const { resolveLatestRate } = require('./conversionService');
+const { derivationFields } = require('./triangulation');
+
+// Maximum number of holdings in one valuation
+const VALUATION_MAX_HOLDINGS = Math.max(1, Number(process.env.VALUATION_MAX_HOLDINGS || 200));
+
+const ALLOWED_FIELDS = new Set(['reportingCurrency', 'holdings', 'rounding']);
+
+function invalid(error) {
+  return { status: 400, body: { success: false, error } };
+}
+
+/**
+ * Value holdings in a reporting currency
+ *
+ * @param {Object} payload - { reportingCurrency, holdings: [{ currency, amount }], rounding? }
+ * @param {Object} context - { req, correlationId }
+ * @returns {Promise<Object>} { status, body } (body without correlationId)
+ */
+async function valuePortfolio(payload, { req = null, correlationId = null } = {}) {
+  const input = payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {};
+  const fail = (error) => {
+    logSiemEvent('VALIDATION_FAILED', { reason: 'Invalid valuation request', error, path: '/api/valuation' }, req, correlationId);
+    return invalid(error);
+  };
+
+  const unexpected = Object.keys(input).find(k => !ALLOWED_FIELDS.has(k));
+  if (unexpected) return fail(`Unexpected field '${unexpected}'.`);
+
+  const { holdings } = input;
+  if (!input.reportingCurrency || !Array.isArray(holdings) || holdings.length === 0) {
+    return fail('Body must contain "reportingCurrency" and a non-empty "holdings" array.');
+  }
+  if (holdings.length > VALUATION_MAX_HOLDINGS) {
+    return fail(`A valuation may contain at most ${VALUATION_MAX_HOLDINGS} holdings.`);
+  }
+
+  const roundingOptions = parseRoundingOptions(input);
+  if (!roundingOptions.ok) return fail(roundingOptions.error);
+  const money = { rounding: roundingOptions.rounding };
+
+  // Each holding is validated with the /api/convert rules (holding currency -> reporting currency)
+  const lines = [];
+  for (const [index, holding] of holdings.entries()) {
+    if (!holding || typeof holding !== 'object' || Array.isArray(holding) || holding.amount === undefined) {
+      return fail(`Holding ${index} must be an object with "currency" and "amount".`);
+    }
+    const validation = validateAndNormalizeQuery({ from: holding.currency, to: input.reportingCurrency, amount: holding.amount });
+    if (!validation.ok) return fail(`Holding ${index}: ${validation.error}`);
+    if (validation.targets.length > 1) return fail('"reportingCurrency" must be a single currency code.');
+    lines.push({ index, currency: validation.from, amount: validation.amount, rawAmount: validation.rawAmount });
+  }
+
+  const reportingCurrency = String(input.reportingCurrency).toUpperCase();
+
+  // One lookup per distinct holding currency
+  const currencies = [...new Set(lines.map(l => l.currency))];
+  const rates = new Map(await Promise.all(
+    currencies.map(async currency => [currency, await resolveLatestRate(currency, reportingCurrency)])
+  ));
+
+  let total = new Money(0);
+  const valued = lines.map(({ index, currency, amount, rawAmount }) => {
+    const found = rates.get(currency);
+    if (!found.ok) {
+      return { index, currency, amount, rate: null, value: null, available: false, code: found.code };
+    }
+    const converted = convertMoney(rawAmount, found.resolved.rate, reportingCurrency, money);
+    total = total.plus(converted.convertedAmountDecimal);
+    return {
+      index,
+      currency,
+      amount,
+      rate: found.resolved.rate,
+      value: converted.convertedAmount,
+      valueDecimal: converted.convertedAmountDecimal,
+      source: found.source,
+      lastUpdated: found.lastUpdated,
+      ...derivationFields(found.resolved),
+      available: true
+    };
+  });
+
+  // Shares are percentages of the total of the lines that could be valued
+  valued.forEach((line) => {
+    line.share = line.available && !total.isZero()
+      ? new Money(line.valueDecimal).div(total).mul(100).toDecimalPlaces(2).toNumber()
+      : null;
+  });
+
+  const minorUnits = getMinorUnits(reportingCurrency);
+  return {
+    status: 200,
+    body: {
+      success: true,
+      reportingCurrency,
+      total: total.toNumber(),
+      totalDecimal: total.toFixed(minorUnits),
+      minorUnits,
+      rounding: money.rounding,
+      complete: valued.every(line => line.available),
+      holdings: valued
+    }
+  };
+}
+
+module.exports = {
+  VALUATION_MAX_HOLDINGS,
+  valuePortfolio
+};